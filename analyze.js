@@ -1,14 +1,9 @@
 require('dotenv').config();
-const cloudinary = require('cloudinary').v2;
+const cloudinary = require('./lib/cloudinary-client');
 const fs = require('fs');
 const path = require('path');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const { withRetry, errorMessage } = require('./lib/retry');
+const { parseArgs, requireEnv, runCommand } = require('./lib/cli');
 
 class CloudinaryAnalyzer {
   constructor() {
@@ -54,7 +49,9 @@ class CloudinaryAnalyzer {
 
         console.log(`📥 Fetching batch ${++batchCount} (cursor: ${nextCursor || 'start'})...`);
         
-        const result = await cloudinary.api.resources(options);
+        const result = await withRetry(() => cloudinary.api.resources(options), {
+          label: 'Fetching resources'
+        });
         
         console.log(`Processing ${result.resources.length} resources...`);
         this.processBatch(result.resources);
@@ -68,7 +65,7 @@ class CloudinaryAnalyzer {
         console.log(`Processed: ${this.analysis.totalAssets} assets so far`);
 
       } catch (error) {
-        console.error('❌ Error fetching resources from Cloudinary:', error);
+        console.error(`❌ Error fetching resources from Cloudinary after ${error.attempts} attempt(s) (${error.category}):`, errorMessage(error));
         break;
       }
     }
@@ -302,44 +299,24 @@ class CloudinaryAnalyzer {
   }
 }
 
+const CLI_OPTIONS = [
+  { flag: '--resource-type', key: 'resourceType' },
+  { flag: '--delivery-type', key: 'deliveryType' }
+];
+
 // CLI interface
-async function runAnalysis() {
-  const args = process.argv.slice(2);
-  let resourceType = 'image';
-  let deliveryType = 'upload';
-
-  // Parse command line arguments
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    switch (arg) {
-      case '--resource-type':
-        resourceType = args[++i];
-        break;
-      case '--delivery-type':
-        deliveryType = args[++i];
-        break;
-      case '--help':
-        printHelp();
-        process.exit(0);
-    }
+async function runAnalysis(args = process.argv.slice(2)) {
+  const { help, resourceType = 'image', deliveryType = 'upload' } = parseArgs(args, CLI_OPTIONS);
+  if (help) {
+    printHelp();
+    return;
   }
 
-  // Validate environment variables
-  const requiredEnvVars = [
+  requireEnv([
     'CLOUDINARY_CLOUD_NAME',
     'CLOUDINARY_API_KEY',
     'CLOUDINARY_API_SECRET'
-  ];
-
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-  
-  if (missingVars.length > 0) {
-    console.error('❌ Missing required Cloudinary environment variables:');
-    missingVars.forEach(varName => console.error(`  - ${varName}`));
-    console.error('\nPlease update your .env file and try again.');
-    process.exit(1);
-  }
+  ]);
 
   const analyzer = new CloudinaryAnalyzer();
   await analyzer.analyze(resourceType, deliveryType);
@@ -369,10 +346,8 @@ Examples:
 }
 
 if (require.main === module) {
-  runAnalysis().catch(error => {
-    console.error('❌ Analysis failed:', error);
-    process.exit(1);
-  });
+  runCommand(() => runAnalysis(), 'Analysis failed');
 }
 
 module.exports = CloudinaryAnalyzer;
+module.exports.main = runAnalysis;
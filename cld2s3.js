@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// The config profile has to be applied before any command (and dotenv) loads,
+// since they read their settings from the environment when required
+const { loadProfile, applyEnv, CONFIG_FILES } = require('./lib/config');
+const { runCommand, UsageError } = require('./lib/cli');
+
+const COMMANDS = {
+  analyze: { module: './analyze', description: 'Analyze the assets in Cloudinary before migrating' },
+  migrate: { module: './migrate', description: 'Migrate every asset of a resource/delivery type (or all of them)' },
+  select: { module: './selective-migrate', description: 'Migrate assets selected by prefix, IDs, tags, search, ...' },
+  verify: { module: './verify', description: 'Check that migrated assets are in the destination and intact' },
+  purge: { module: './purge', description: 'Delete verified assets from Cloudinary after a grace period' },
+  report: { module: './report', description: 'Query the per-asset migration ledger' }
+};
+
+// --config and --profile may appear anywhere on the command line
+function extractGlobalOptions(args) {
+  const globals = {};
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--(config|profile)(?:=(.*))?$/.exec(args[i]);
+    if (!match) {
+      rest.push(args[i]);
+      continue;
+    }
+    const value = match[2] !== undefined ? match[2] : args[++i];
+    if (!value || value.startsWith('--')) throw new UsageError(`--${match[1]} needs a value`);
+    globals[match[1] === 'config' ? 'configFile' : 'profile'] = value;
+  }
+
+  return { globals, rest };
+}
+
+function commandFor(name) {
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(`Unknown command: ${name} (expected ${Object.keys(COMMANDS).join(', ')})`);
+  }
+  return command;
+}
+
+async function runCli(argv = process.argv.slice(2)) {
+  const { globals, rest } = extractGlobalOptions(argv);
+  const [name, ...args] = rest;
+
+  if (!name || name === '--help' || name === '-h') {
+    printHelp();
+    return;
+  }
+  if (name === 'help') {
+    if (args[0]) {
+      await require(commandFor(args[0]).module).main(['--help']);
+    } else {
+      printHelp();
+    }
+    return;
+  }
+  const command = commandFor(name);
+
+  const profile = loadProfile(globals);
+  let commandArgs = args;
+  if (profile) {
+    const kept = applyEnv(profile.env);
+    console.log(`⚙️  Config: ${profile.file}${profile.name ? ` (profile: ${profile.name})` : ''}`);
+    if (kept.length > 0) console.log(`   Overridden by the environment: ${kept.join(', ')}`);
+    // Options given on the command line come last, so they win
+    commandArgs = [...(profile.args[name] || []), ...args];
+  }
+
+  await require(command.module).main(commandArgs);
+}
+
+function printHelp() {
+  console.log(`
+cld2s3 - Cloudinary to S3 Migration
+
+Usage: cld2s3 [--config <file>] [--profile <name>] <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(10)}${command.description}`).join('\n')}
+
+Run "cld2s3 <command> --help" or "cld2s3 help <command>" for a command's options.
+
+Global options:
+  --config <file>     Config file (default: CLD2S3_CONFIG, or ${CONFIG_FILES.join(', ')} in the working directory)
+  --profile <name>    Profile of the config file (default: CLD2S3_PROFILE, or the file's default_profile)
+  --help              Show this help message
+
+Settings are taken from, in order: command line options, environment
+variables, the config profile, the config file's shared settings, and .env.
+See cld2s3.config.example.yml.
+
+Examples:
+  # Analyze and migrate the staging account
+  cld2s3 --profile staging analyze
+  cld2s3 --profile staging migrate --all-types
+
+  # Verify production, overriding the profile's bucket for one run
+  AWS_S3_BUCKET_NAME=acme-assets-restore cld2s3 --profile prod verify --deep
+  `);
+}
+
+if (require.main === module) {
+  runCommand(() => runCli(), 'Command failed');
+}
+
+module.exports = { runCli, COMMANDS };
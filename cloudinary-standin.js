@@ -0,0 +1,351 @@
+require('dotenv').config();
+const fs = require('fs');
+const http = require('http');
+const FixtureSource = require('./lib/fixture-source');
+const { parseArgs, runCommand, UsageError } = require('./lib/cli');
+
+const STANDIN_PORT = parseInt(process.env.STANDIN_PORT) || 4100;
+const CLOUDINARY_FIXTURES = process.env.CLOUDINARY_FIXTURES || null;
+// Reported in X-FeatureRateLimit-* headers like the real Admin API
+const RATE_LIMIT = 5000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    req.on('error', reject);
+  });
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Local stand-in for the Cloudinary Admin API and delivery URLs, backed by a
+// FixtureSource. Point the scripts at it with CLOUDINARY_API_URL to rehearse
+// a migration, verification or purge without touching the real account.
+class CloudinaryStandIn {
+  constructor(options = {}) {
+    this.source = options.source || new FixtureSource(options.fixtures || CLOUDINARY_FIXTURES);
+    this.port = options.port !== undefined ? options.port : STANDIN_PORT;
+    this.host = options.host || '127.0.0.1';
+    this.publicUrl = options.publicUrl || null;
+    this.adminCalls = 0;
+    this.quotaWindow = 0;
+    this.server = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error('❌ Unhandled request error:', error);
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        this.baseUrl = (this.publicUrl || `http://${this.host === '0.0.0.0' ? '127.0.0.1' : this.host}:${this.port}`).replace(/\/+$/, '');
+        console.log(`🧪 Cloudinary stand-in on ${this.baseUrl}`);
+        console.log(`Fixtures: ${this.source.describe()}`);
+        console.log(`Use it with: CLOUDINARY_API_URL=${this.baseUrl}`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    // Downloads and delivery URLs don't count against the Admin API quota
+    const adminCall = segments[0] === 'v1_1' && segments[3] !== 'download';
+    if (adminCall) this.countAdminCall();
+
+    try {
+      if (url.pathname === '/health') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+      } else if (segments[0] === 'v1_1' && segments[3] === 'download') {
+        await this.download(req, res, segments[2], url.searchParams);
+      } else if (segments[0] === 'v1_1') {
+        const body = req.method === 'GET' ? '' : await readBody(req);
+        const result = await this.api(req.method, segments.slice(2), url.searchParams, body);
+        this.sendJson(res, 200, result, this.quotaHeaders());
+      } else if (segments[0] === 'standin') {
+        await this.deliver(req, res, segments.slice(1));
+      } else {
+        throw new HttpError(404, 'Not found');
+      }
+      console.log(`✅ ${req.method} ${url.pathname}`);
+    } catch (error) {
+      const status = error.status || 500;
+      console.warn(`⚠️  ${req.method} ${url.pathname} ${status}: ${error.message}`);
+      if (!res.headersSent) {
+        this.sendJson(res, status, { error: { message: error.message } }, adminCall ? this.quotaHeaders() : {});
+      } else {
+        res.destroy();
+      }
+    }
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  // Like Cloudinary's, the quota resets at the top of every hour, not an hour
+  // after each call
+  countAdminCall() {
+    const window = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    if (window !== this.quotaWindow) {
+      this.quotaWindow = window;
+      this.adminCalls = 0;
+    }
+    this.adminCalls++;
+  }
+
+  quotaHeaders() {
+    return {
+      'X-FeatureRateLimit-Limit': RATE_LIMIT,
+      'X-FeatureRateLimit-Remaining': Math.max(0, RATE_LIMIT - this.adminCalls),
+      'X-FeatureRateLimit-Reset': new Date(this.quotaWindow + HOUR_MS).toUTCString()
+    };
+  }
+
+  // Applies an injected failure: waits, then throws the configured status. A
+  // rule with only delay_ms slows the call down without failing it.
+  async inject(operation, publicId) {
+    const failure = this.source.failureFor(operation, publicId);
+    if (!failure) return null;
+
+    if (failure.delay_ms) await sleep(failure.delay_ms);
+    if (failure.delay_ms && !failure.mode && !failure.status) return null;
+    if (!failure.mode || failure.mode === 'error') {
+      throw new HttpError(failure.status || 500, `Injected ${operation} failure${publicId ? ` for ${publicId}` : ''}`);
+    }
+    return failure;
+  }
+
+  withUrls(resource) {
+    const file = resource.public_id + (resource.format ? `.${resource.format}` : '');
+    const url = `${this.baseUrl}/standin/${resource.resource_type}/${resource.type}/v${resource.version}/${file.split('/').map(encodeURIComponent).join('/')}`;
+    return { ...resource, url, secure_url: url };
+  }
+
+  page(result) {
+    return { ...result, resources: result.resources.map(resource => this.withUrls(resource)) };
+  }
+
+  // Admin API routes the SDK calls, after /v1_1/<cloud_name>/
+  async api(method, path, query, body) {
+    // The SDK sends some routes, e.g. "resources/search", as one encoded segment
+    const [first, second, third, fourth, fifth] = path[0].includes('/') ? [...path[0].split('/'), ...path.slice(1)] : path;
+    const options = Object.fromEntries(query.entries());
+
+    if (method === 'GET' && first === 'transformations') {
+      return { transformations: [] };
+    }
+    if (first !== 'resources') {
+      throw new HttpError(404, `Not supported by the stand-in: ${method} ${path.join('/')}`);
+    }
+
+    if (method === 'POST' && second === 'search') {
+      await this.inject('search');
+      return this.page(this.source.search(JSON.parse(body || '{}')));
+    }
+    if (method === 'GET' && second === 'by_asset_folder') {
+      await this.inject('list');
+      return this.page(this.source.byAssetFolder(options.asset_folder, options));
+    }
+
+    const resourceType = second;
+    if (method === 'DELETE') {
+      const form = new URLSearchParams(body);
+      const publicIds = form.getAll('public_ids[]');
+      await this.inject('delete', publicIds[0]);
+      return this.source.delete(resourceType, third, publicIds);
+    }
+    if (method !== 'GET') {
+      throw new HttpError(404, `Not supported by the stand-in: ${method} ${path.join('/')}`);
+    }
+
+    if (third === 'tags') {
+      await this.inject('list');
+      return this.page(this.source.byTag(resourceType, fourth, options));
+    }
+    if (third === 'context') {
+      await this.inject('list');
+      return this.page(this.source.byContext(resourceType, options.key, options.value, options));
+    }
+    if (third === 'moderations') {
+      await this.inject('list');
+      return this.page(this.source.byModeration(resourceType, fourth, fifth, options));
+    }
+    if (fourth !== undefined) {
+      await this.inject('resource', fourth);
+      const resource = this.source.find(resourceType, third, fourth);
+      if (!resource) throw new HttpError(404, `Resource not found - ${fourth}`);
+      return { ...this.withUrls(resource), derived: [] };
+    }
+    if (query.has('public_ids[]')) {
+      await this.inject('list');
+      return this.page(this.source.byIds(resourceType, third, query.getAll('public_ids[]')));
+    }
+
+    await this.inject('list');
+    return this.page(this.source.list(resourceType, { ...options, type: third }));
+  }
+
+  // Originals at the URLs the listings hand out:
+  // /standin/<resource_type>/<type>/v<version>/<public_id>.<format>
+  async deliver(req, res, segments) {
+    const [resourceType, type, version, ...rest] = segments;
+    if (!resourceType || !type || !/^v\d+$/.test(version || '') || rest.length === 0) {
+      throw new HttpError(404, 'Not a stand-in delivery URL');
+    }
+
+    const file = rest.join('/');
+    const extension = file.lastIndexOf('.') > file.lastIndexOf('/') ? file.slice(file.lastIndexOf('.')) : '';
+    const resource = (extension && this.source.find(resourceType, type, file.slice(0, -extension.length))) ||
+      this.source.find(resourceType, type, file);
+    if (!resource) throw new HttpError(404, `Resource not found - ${file}`);
+
+    await this.send(req, res, resource);
+  }
+
+  // The signed download URL private and authenticated assets are fetched from.
+  // Signatures and expiry are not checked.
+  async download(req, res, resourceType, query) {
+    const publicId = query.get('public_id');
+    const resource = this.source.find(resourceType, query.get('type') || 'upload', publicId);
+    if (!resource) throw new HttpError(404, `Resource not found - ${publicId}`);
+
+    await this.send(req, res, resource);
+  }
+
+  async send(req, res, resource) {
+    const failure = await this.inject('download', resource.public_id);
+    let content = this.source.content(resource);
+
+    if (failure && failure.mode === 'corrupt') {
+      content = Buffer.from(content);
+      content[0] ^= 0xff;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': content.length,
+      ETag: `"${resource.etag}"`
+    });
+    if (req.method === 'HEAD') {
+      res.end();
+    } else if (failure && failure.mode === 'truncate') {
+      // Half the body, then a dropped connection
+      res.write(content.subarray(0, Math.floor(content.length / 2)), () => res.destroy());
+    } else {
+      res.end(content);
+    }
+  }
+}
+
+const CLI_OPTIONS = [
+  { flag: '--fixtures', key: 'fixtures' },
+  { flag: '--port', key: 'port', type: 'int' },
+  { flag: '--host', key: 'host' },
+  {
+    flag: '--public-url',
+    key: 'publicUrl',
+    parse: value => {
+      if (!/^https?:\/\/[^/]+/i.test(value)) throw new UsageError(`--public-url must be an http(s) URL, got "${value}"`);
+      return value;
+    }
+  }
+];
+
+// CLI interface
+async function runStandIn(args = process.argv.slice(2)) {
+  const { help, ...options } = parseArgs(args, CLI_OPTIONS);
+  if (help) {
+    printHelp();
+    return;
+  }
+
+  const fixtures = options.fixtures || CLOUDINARY_FIXTURES;
+  if (!fixtures) {
+    throw new UsageError('Pass --fixtures <directory or snapshot file>, or set CLOUDINARY_FIXTURES.');
+  }
+  if (!fs.existsSync(fixtures)) {
+    throw new UsageError(`Fixtures not found: ${fixtures}`);
+  }
+
+  const standIn = new CloudinaryStandIn(options);
+  await standIn.start();
+
+  const shutdown = () => {
+    console.log('\n🛑 Stopping Cloudinary stand-in');
+    standIn.stop().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+function printHelp() {
+  console.log(`
+Cloudinary Stand-In for Offline Rehearsals
+
+Serves the Admin API calls and downloads the migration scripts use from local
+fixtures, so migrate.js, selective-migrate.js, verify.js, analyze.js and
+purge.js can rehearse a full run, including deletions and injected failures,
+without touching the real account. Deletions only last as long as the process.
+
+Usage: node cloudinary-standin.js --fixtures <directory|snapshot.json> [options]
+
+Options:
+  --fixtures <path>     Fixture directory or snapshot file (default: CLOUDINARY_FIXTURES)
+  --port <port>         Port to listen on (default: STANDIN_PORT or 4100)
+  --host <host>         Interface to bind (default: 127.0.0.1)
+  --public-url <url>    Base URL clients reach the stand-in at, if not http://<host>:<port>
+  --help                Show this help message
+
+Fixture directory layout:
+  <resource_type>/<type>/<public_id>.<format>   e.g. image/upload/products/shoe.jpg
+  resources.json                                per-asset overrides (tags, context, created_at, ...)
+  failures.json                                 injected failures, e.g.
+    [{ "operation": "download", "public_id": "products/*", "status": 500, "times": 2 },
+     { "operation": "list", "status": 420, "times": 1 },
+     { "operation": "download", "public_id": "broken", "mode": "truncate" }]
+
+Operations: list, resource, search, delete, download. Modes: error (default),
+truncate and corrupt (downloads only); delay_ms delays the response.
+
+Examples:
+  # Terminal 1
+  node cloudinary-standin.js --fixtures fixtures/
+  # Terminal 2: rehearse against the stand-in and a local directory
+  CLOUDINARY_API_URL=http://127.0.0.1:4100 node migrate.js --destination local
+  CLOUDINARY_API_URL=http://127.0.0.1:4100 node verify.js --destination local --deep
+  `);
+}
+
+if (require.main === module) {
+  runCommand(() => runStandIn(), 'Cloudinary stand-in failed');
+}
+
+module.exports = CloudinaryStandIn;
+module.exports.main = runStandIn;
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHECKPOINT_DIR = process.env.CHECKPOINT_DIR || path.join(__dirname, '..', 'checkpoints');
+
+// Persists the listing position and counters of a run so it can be resumed
+// after a crash, reboot or interrupt. One file per scope (command + filters).
+class MigrationCheckpoint {
+  constructor(scope, options = {}) {
+    this.scope = scope;
+    this.dir = options.dir || CHECKPOINT_DIR;
+    this.filePath = path.join(this.dir, `${MigrationCheckpoint.scopeKey(scope)}.json`);
+  }
+
+  static scopeKey(scope) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(scope)).digest('hex').slice(0, 8);
+    const label = [scope.command, scope.resource_type, scope.type]
+      .filter(Boolean)
+      .join('-')
+      .replace(/[^a-zA-Z0-9_-]/g, '_');
+    return `${label}-${hash}`;
+  }
+
+  static createRunId() {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    return `run-${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (JSON.stringify(state.scope) !== JSON.stringify(this.scope)) {
+        console.warn(`⚠️  Ignoring checkpoint ${this.filePath}: it was written for a different scope`);
+        return null;
+      }
+      return state;
+    } catch (error) {
+      console.warn(`⚠️  Could not read checkpoint ${this.filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  save(state) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const data = {
+      ...state,
+      scope: this.scope,
+      updated_at: new Date().toISOString()
+    };
+
+    // Write to a temp file first so a crash mid-write never corrupts the checkpoint
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = MigrationCheckpoint;
@@ -0,0 +1,125 @@
+// Option parsing shared by the command line tools. Each tool declares its
+// options once; anything not declared is rejected instead of silently ignored.
+//
+// An option is { flag, key, type } for options that take a value, where type
+// is 'string' (default), 'int', 'number' or 'list' (comma-separated), and
+// `repeat` collects every occurrence into an array; or { flag, set } for
+// switches, which assign the fields in `set`. `parse` replaces the type
+// conversion and `choices` restricts the accepted values. A tool that takes
+// arguments besides its options (files, say) declares { key, positional: true }
+// to collect them into an array.
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function convert(option, value) {
+  if (option.parse) return option.parse(value);
+
+  switch (option.type) {
+    case 'int': {
+      const number = Number(value);
+      if (!Number.isInteger(number)) throw new UsageError(`${option.flag} expects a whole number, got "${value}"`);
+      return number;
+    }
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number)) throw new UsageError(`${option.flag} expects a number, got "${value}"`);
+      return number;
+    }
+    case 'list':
+      return value.split(',').map(entry => entry.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+// Returns the parsed options, or { help: true } when --help is given
+function parseArgs(args, spec) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') return { help: true };
+
+    // --flag=value is accepted as well as --flag value
+    const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const flag = equals === -1 ? arg : arg.slice(0, equals);
+    const option = spec.find(entry => entry.flag === flag);
+    const positional = !arg.startsWith('-') && spec.find(entry => entry.positional);
+
+    if (!option && positional) {
+      options[positional.key] = (options[positional.key] || []).concat(arg);
+      continue;
+    }
+    if (!option) {
+      throw new UsageError(arg.startsWith('-')
+        ? `Unknown option: ${flag} (see --help)`
+        : `Unexpected argument: ${arg} (see --help)`);
+    }
+
+    if (option.set) {
+      if (equals !== -1) throw new UsageError(`${flag} does not take a value`);
+      Object.assign(options, option.set);
+      continue;
+    }
+
+    let value;
+    if (equals !== -1) {
+      value = arg.slice(equals + 1);
+    } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      value = args[++i];
+    } else {
+      throw new UsageError(`${flag} needs a value (see --help)`);
+    }
+
+    if (option.choices && !option.choices.includes(value)) {
+      throw new UsageError(`Invalid ${flag} value: ${value} (expected ${option.choices.join(', ')})`);
+    }
+
+    const converted = convert(option, value);
+    if (option.repeat) {
+      options[option.key] = (options[option.key] || []).concat(converted);
+    } else {
+      options[option.key] = converted;
+    }
+  }
+
+  return options;
+}
+
+// Stops with the list of missing variables before any API call is made
+function requireEnv(names) {
+  const missing = names.filter(name => !process.env[name]);
+  if (missing.length === 0) return;
+
+  throw new UsageError([
+    'Missing required environment variables:',
+    ...missing.map(name => `  - ${name}`),
+    '',
+    'Set them in your .env file, the environment or a cld2s3 config profile, and try again.'
+  ].join('\n'));
+}
+
+// Runs a tool's entry point: usage errors print their message, anything else
+// the full error
+function runCommand(main, failureMessage) {
+  return main().catch(error => {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}`);
+      process.exit(2);
+    }
+    console.error(`❌ ${failureMessage}:`, error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArgs,
+  requireEnv,
+  runCommand,
+  UsageError
+};
@@ -0,0 +1,44 @@
+// The configured Cloudinary SDK, shared by every script. Require it before any
+// other module that loads the SDK.
+
+// Base URL of an Admin API stand-in (see cloudinary-standin.js) used instead of
+// api.cloudinary.com, e.g. http://127.0.0.1:4100
+const CLOUDINARY_API_URL = process.env.CLOUDINARY_API_URL || null;
+
+if (CLOUDINARY_API_URL) {
+  // The SDK picks http or https when it is first loaded, from the upload_prefix
+  // in CLOUDINARY_URL, so the stand-in has to be set there beforehand
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME || 'rehearsal';
+  const apiKey = process.env.CLOUDINARY_API_KEY || 'rehearsal';
+  const apiSecret = process.env.CLOUDINARY_API_SECRET || 'rehearsal';
+  process.env.CLOUDINARY_URL = `cloudinary://${encodeURIComponent(apiKey)}:${encodeURIComponent(apiSecret)}@${cloudName}` +
+    `?upload_prefix=${encodeURIComponent(CLOUDINARY_API_URL.replace(/\/+$/, ''))}`;
+}
+
+const cloudinary = require('cloudinary').v2;
+const { adminApiQuota, ApiQuota } = require('./rate-limiter');
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Every Admin API call, including cloudinary.search and the SDK used directly
+// elsewhere, waits while the hourly quota is down to its reserve. The SDK's
+// api module is shared, so wrapping its methods here covers all of them.
+Object.keys(cloudinary.api).forEach(method => {
+  const call = cloudinary.api[method];
+  if (typeof call !== 'function') return;
+
+  const feature = ApiQuota.featureFor(method);
+  cloudinary.api[method] = async (...args) => {
+    await adminApiQuota.acquire(feature);
+    const result = await call(...args);
+    adminApiQuota.update(feature, result);
+    return result;
+  };
+});
+
+module.exports = cloudinary;
@@ -0,0 +1,40 @@
+const cloudinary = require('cloudinary').v2;
+const { withRetry } = require('./retry');
+
+// delete_resources accepts at most 100 public IDs per call
+const DELETE_BATCH_SIZE = 100;
+
+// Deletes up to 100 assets of one resource/delivery type and sorts the
+// per-id results of the response. Cloudinary answers 200 even when some ids
+// were not deleted, so the `deleted` map is the only reliable outcome.
+async function deleteResources(publicIds, { resource_type, type }) {
+  if (publicIds.length > DELETE_BATCH_SIZE) {
+    throw new Error(`Cannot delete more than ${DELETE_BATCH_SIZE} assets per call (got ${publicIds.length})`);
+  }
+
+  const result = await withRetry(() => cloudinary.api.delete_resources(publicIds, {
+    resource_type: resource_type || 'image',
+    type: type || 'upload'
+  }), { label: `Deleting ${publicIds.length} asset(s)` });
+
+  const outcome = { deleted: [], notFound: [], failed: [] };
+  const statuses = result.deleted || {};
+
+  publicIds.forEach(publicId => {
+    const status = statuses[publicId];
+    if (status === 'deleted') {
+      outcome.deleted.push(publicId);
+    } else if (status === 'not_found') {
+      outcome.notFound.push(publicId);
+    } else {
+      outcome.failed.push({ public_id: publicId, status: status || 'missing_from_response' });
+    }
+  });
+
+  return outcome;
+}
+
+module.exports = {
+  deleteResources,
+  DELETE_BATCH_SIZE
+};
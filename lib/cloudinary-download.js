@@ -0,0 +1,30 @@
+const cloudinary = require('cloudinary').v2;
+
+// Delivery types whose secure_url cannot be fetched without a signature
+const RESTRICTED_DELIVERY_TYPES = ['private', 'authenticated'];
+// Signed download URLs are generated per attempt, so they only need to outlive one transfer
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 60 * 60;
+
+function isRestricted(resource) {
+  return RESTRICTED_DELIVERY_TYPES.includes(resource.type);
+}
+
+// URL to download the original asset from. Restricted assets go through the
+// Admin API download endpoint, signed with the configured API secret.
+function downloadUrl(resource) {
+  if (!isRestricted(resource)) {
+    return resource.secure_url || resource.url;
+  }
+
+  return cloudinary.utils.private_download_url(resource.public_id, resource.format, {
+    resource_type: resource.resource_type || 'image',
+    type: resource.type,
+    expires_at: Math.floor(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS
+  });
+}
+
+module.exports = {
+  downloadUrl,
+  isRestricted,
+  RESTRICTED_DELIVERY_TYPES
+};
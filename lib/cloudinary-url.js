@@ -0,0 +1,171 @@
+// Finds and parses Cloudinary delivery URLs in arbitrary text (JSON, CSV, SQL
+// dumps, HTML, Markdown).
+
+const RESOURCE_TYPES = ['image', 'video', 'raw'];
+const DELIVERY_TYPES = [
+  'upload', 'private', 'authenticated', 'fetch', 'list', 'multi', 'text', 'sprite',
+  'facebook', 'twitter', 'twitter_name', 'gravatar', 'youtube', 'hulu', 'vimeo', 'animoto',
+  'worldstarhiphop', 'dailymotion'
+];
+
+// Extra hosts (custom CNAMEs) that serve the account, without a cloud name in the path
+const CLOUDINARY_CNAMES = (process.env.CLOUDINARY_CNAMES || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// A URL ends at whitespace, a quote, a bracket or a markup character. JSON
+// exports may escape slashes as "\/", so a backslash is only allowed before one.
+const URL_PATTERN = /https?:(?:\\?\/){2}[a-z0-9.-]+(?:\\?\/(?:[^\s"'<>()[\]{}|^`\\]|\\\/)*)+/gi;
+// Punctuation that ends a sentence rather than the URL
+const TRAILING_PUNCTUATION = /[.,;:!?]+$/;
+const URL_ORIGIN = /^https?:(?:\\?\/){2}[a-z0-9.-]+/i;
+
+const SIGNATURE_SEGMENT = /^s--[\w-]{8,32}--$/;
+const VERSION_SEGMENT = /^v\d+$/;
+// One transformation component: "c_fill,w_300", "t_thumb", "$var_1"... or a chain of them
+const TRANSFORMATION_SEGMENT = /^(?:[a-z]{1,3}_[^,/]*|\$[\w]+_[^,/]*)(?:,(?:[a-z]{1,3}_[^,/]*|\$[\w]+_[^,/]*))*$/;
+
+function isCloudinaryHost(host) {
+  host = host.toLowerCase();
+  return /^res(-\d+)?\.cloudinary\.com$/.test(host) ||
+    /-res\.cloudinary\.com$/.test(host) ||
+    CLOUDINARY_CNAMES.includes(host);
+}
+
+// Commas belong to transformations only. In any other segment (a folder, the
+// public ID, the extension) a comma starts the next CSV field: "...p1.jpg,Red"
+function cutAtField(match) {
+  const origin = URL_ORIGIN.exec(match)[0];
+  let offset = origin.length;
+
+  for (const segment of match.slice(origin.length).split('/')) {
+    const comma = segment.indexOf(',');
+    if (comma >= 0 && !TRANSFORMATION_SEGMENT.test(segment.replace(/\\$/, ''))) {
+      return match.slice(0, offset + comma);
+    }
+    offset += segment.length + 1;
+  }
+
+  return match;
+}
+
+// Yields { match, url, index, escaped } for every Cloudinary URL in `text`.
+// `url` is unescaped and without trailing punctuation; `match` is the exact
+// text to replace.
+function findCloudinaryUrls(text) {
+  const found = [];
+  let result;
+
+  URL_PATTERN.lastIndex = 0;
+  while ((result = URL_PATTERN.exec(text)) !== null) {
+    const match = cutAtField(result[0]).replace(TRAILING_PUNCTUATION, '');
+    // The next field may be another URL
+    URL_PATTERN.lastIndex = result.index + match.length;
+    const escaped = match.includes('\\/');
+    const url = escaped ? match.replace(/\\\//g, '/') : match;
+    const host = url.split('/')[2];
+
+    if (isCloudinaryHost(host)) {
+      found.push({ match, url, index: result.index, escaped });
+    }
+  }
+
+  return found;
+}
+
+// Splits a Cloudinary delivery URL into its parts. `publicId`/`format` are the
+// most likely split; `candidates` lists every plausible way to split the path
+// into transformation and public ID (a folder can look like a transformation),
+// most transformations first. Returns { error } for URLs that cannot be parsed.
+function parseCloudinaryUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { error: 'invalid_url' };
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const segments = parsed.pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  });
+
+  // res.cloudinary.com carries the cloud name in the path; private CDNs and CNAMEs don't
+  let cloudName = null;
+  if (/^res(-\d+)?\.cloudinary\.com$/.test(host)) {
+    cloudName = segments.shift();
+  } else if (/-res\.cloudinary\.com$/.test(host)) {
+    cloudName = host.replace(/-res\.cloudinary\.com$/, '');
+  }
+
+  return parseDeliveryPath(segments, cloudName);
+}
+
+// Parses the decoded path segments that follow the cloud name:
+// <resource_type>/<type>/[s--sig--/][transformations/][v<version>/]<public_id>[.<ext>]
+function parseDeliveryPath(segments, cloudName = null) {
+  const [resourceType, type] = segments;
+  if (!RESOURCE_TYPES.includes(resourceType) || !DELIVERY_TYPES.includes(type)) {
+    // e.g. SEO-friendly /images/ URLs or the short form without a delivery type
+    return { error: 'unsupported_url_format', cloudName };
+  }
+
+  let rest = segments.slice(2);
+  const signed = rest.length > 0 && SIGNATURE_SEGMENT.test(rest[0]);
+  if (signed) rest = rest.slice(1);
+
+  let version = null;
+  let maxTransformations = 0;
+  const versionIndex = rest.findIndex(segment => VERSION_SEGMENT.test(segment));
+  const leading = versionIndex >= 0 ? rest.slice(0, versionIndex) : rest;
+
+  if (versionIndex >= 0 && leading.every(segment => TRANSFORMATION_SEGMENT.test(segment))) {
+    // Everything before the version is a transformation, so there is only one split
+    version = rest[versionIndex].slice(1);
+    const transformation = leading.join('/');
+    rest = rest.slice(versionIndex + 1);
+    return withCandidates({ cloudName, resourceType, type, signed, version }, [{ transformation, path: rest }]);
+  }
+
+  while (maxTransformations < rest.length - 1 && TRANSFORMATION_SEGMENT.test(rest[maxTransformations])) {
+    maxTransformations++;
+  }
+
+  const candidates = [];
+  for (let count = maxTransformations; count >= 0; count--) {
+    candidates.push({ transformation: rest.slice(0, count).join('/'), path: rest.slice(count) });
+  }
+
+  return withCandidates({ cloudName, resourceType, type, signed, version }, candidates);
+}
+
+function withCandidates(base, splits) {
+  const candidates = splits
+    .filter(split => split.path.length > 0)
+    .map(split => ({ transformation: split.transformation, ...splitPublicId(base.resourceType, split.path.join('/')) }));
+
+  if (candidates.length === 0) {
+    return { error: 'missing_public_id', cloudName: base.cloudName };
+  }
+
+  return { ...base, ...candidates[0], candidates };
+}
+
+// Raw files keep their extension in the public ID and have no format
+function splitPublicId(resourceType, path) {
+  const match = path.match(/^(.+)\.([a-z0-9]+)$/i);
+  if (resourceType === 'raw' || !match) {
+    return { publicId: path, format: null };
+  }
+  return { publicId: match[1], format: match[2].toLowerCase() };
+}
+
+module.exports = {
+  findCloudinaryUrls,
+  parseCloudinaryUrl,
+  parseDeliveryPath,
+  isCloudinaryHost
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { UsageError } = require('./cli');
+
+// Looked up in the working directory when neither --config nor CLD2S3_CONFIG is set
+const CONFIG_FILES = ['cld2s3.config.yml', 'cld2s3.config.yaml', 'cld2s3.config.json'];
+const SECTIONS = ['default_profile', 'env', 'args', 'profiles'];
+const ENV_NAME = /^[A-Z][A-Z0-9_]*$/;
+
+function findConfigFile(explicit) {
+  const configured = explicit || process.env.CLD2S3_CONFIG;
+  if (configured) {
+    const resolved = path.resolve(configured);
+    if (!fs.existsSync(resolved)) throw new UsageError(`Config file not found: ${resolved}`);
+    return resolved;
+  }
+  const found = CONFIG_FILES.map(name => path.resolve(name)).find(filePath => fs.existsSync(filePath));
+  return found || null;
+}
+
+function readConfig(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  try {
+    return (path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text)) || {};
+  } catch (error) {
+    throw new UsageError(`Cannot parse config file ${filePath}: ${error.message}`);
+  }
+}
+
+// env: { NAME: value } with scalar values, which become strings
+function validateEnv(env = {}, label) {
+  if (typeof env !== 'object' || Array.isArray(env)) throw new UsageError(`"env" in ${label} must be a map of variables`);
+  Object.entries(env).forEach(([name, value]) => {
+    if (!ENV_NAME.test(name)) throw new UsageError(`Invalid variable name "${name}" in ${label} (expected e.g. AWS_S3_BUCKET_NAME)`);
+    if (value !== null && typeof value === 'object') throw new UsageError(`${name} in ${label} must be a string, number or boolean`);
+  });
+  return env;
+}
+
+// args: { <command>: ["--flag", "value", ...] }
+function validateArgs(args = {}, label) {
+  if (typeof args !== 'object' || Array.isArray(args)) throw new UsageError(`"args" in ${label} must map commands to option lists`);
+  Object.entries(args).forEach(([command, list]) => {
+    if (!Array.isArray(list)) throw new UsageError(`args.${command} in ${label} must be a list, e.g. ["--deep"]`);
+  });
+  return args;
+}
+
+// Settings for one profile of a config file: the shared env and args, with
+// the profile's own on top. Returns null when there is no config file.
+//
+//   default_profile: staging
+//   env: { S3_KEY_PREFIX: cloudinary }
+//   args: { verify: ["--deep"] }
+//   profiles:
+//     staging: { env: { CLOUDINARY_CLOUD_NAME: acme-staging, AWS_S3_BUCKET_NAME: acme-staging-assets } }
+//     prod: { env: { ... }, args: { migrate: ["--sidecar"] } }
+function loadProfile({ configFile, profile } = {}) {
+  const filePath = findConfigFile(configFile);
+  const profileName = profile || process.env.CLD2S3_PROFILE || null;
+
+  if (!filePath) {
+    if (profileName) throw new UsageError(`Profile "${profileName}" requested but no config file found (${CONFIG_FILES.join(', ')})`);
+    return null;
+  }
+
+  const config = readConfig(filePath);
+  const unknown = Object.keys(config).filter(key => !SECTIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown section(s) in ${filePath}: ${unknown.join(', ')} (expected ${SECTIONS.join(', ')})`);
+  }
+
+  const profiles = config.profiles || {};
+  const name = profileName || config.default_profile || null;
+  let selected = {};
+  if (name) {
+    if (!profiles[name]) {
+      const known = Object.keys(profiles);
+      throw new UsageError(`Unknown profile "${name}" in ${filePath}${known.length > 0 ? ` (available: ${known.join(', ')})` : ''}`);
+    }
+    selected = profiles[name];
+    const extra = Object.keys(selected).filter(key => !['env', 'args'].includes(key));
+    if (extra.length > 0) throw new UsageError(`Profile "${name}" may only have env and args, found: ${extra.join(', ')}`);
+  }
+
+  const sharedArgs = validateArgs(config.args, filePath);
+  const profileArgs = validateArgs(selected.args, `profile "${name}"`);
+  const args = {};
+  new Set([...Object.keys(sharedArgs), ...Object.keys(profileArgs)]).forEach(command => {
+    args[command] = [...(sharedArgs[command] || []), ...(profileArgs[command] || [])].map(String);
+  });
+
+  return {
+    file: filePath,
+    name,
+    env: { ...validateEnv(config.env, filePath), ...validateEnv(selected.env, `profile "${name}"`) },
+    args
+  };
+}
+
+// Variables already in the environment win over the config file; .env, loaded
+// later by each command, only fills in what neither sets. Returns the names
+// that were left as the environment had them.
+function applyEnv(env) {
+  const kept = [];
+  Object.entries(env).forEach(([name, value]) => {
+    if (process.env[name] !== undefined) {
+      kept.push(name);
+    } else if (value !== null && value !== undefined) {
+      process.env[name] = String(value);
+    }
+  });
+  return kept;
+}
+
+module.exports = {
+  loadProfile,
+  applyEnv,
+  CONFIG_FILES
+};
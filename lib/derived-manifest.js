@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const MigrationLedger = require('./ledger');
+
+const DERIVED_MANIFEST_FILE = process.env.DERIVED_MANIFEST_FILE || path.join(__dirname, '..', 'derived-manifest.jsonl');
+
+// Append-only JSONL record of which transformation of which asset was copied
+// to which S3 object. Like the ledger, the last line for a rendition wins.
+class DerivedManifest {
+  constructor(filePath = DERIVED_MANIFEST_FILE) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.loaded = false;
+  }
+
+  static entryKey(resource, transformation) {
+    return `${MigrationLedger.assetKey(resource)}@${transformation}`;
+  }
+
+  async load() {
+    if (this.loaded) return this;
+    this.loaded = true;
+
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        this.entries.set(entry.key, entry);
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable manifest line in ${this.filePath}`);
+      }
+    }
+
+    return this;
+  }
+
+  get(resource, transformation) {
+    return this.entries.get(DerivedManifest.entryKey(resource, transformation)) || null;
+  }
+
+  record(resource, transformation, fields = {}) {
+    const entry = {
+      key: DerivedManifest.entryKey(resource, transformation),
+      public_id: resource.public_id,
+      resource_type: resource.resource_type || 'image',
+      type: resource.type || 'upload',
+      transformation,
+      ...fields,
+      migrated_at: new Date().toISOString()
+    };
+
+    this.entries.set(entry.key, entry);
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    return entry;
+  }
+}
+
+module.exports = DerivedManifest;
@@ -0,0 +1,77 @@
+const cloudinary = require('cloudinary').v2;
+const { withRetry } = require('./retry');
+
+// Upper limit of derived resources returned per resource() call
+const DERIVED_PAGE_SIZE = 100;
+
+// Every named transformation in the account, as transformation strings ("t_thumb")
+async function listNamedTransformations() {
+  const names = [];
+  let nextCursor = null;
+
+  do {
+    const options = { named: true, max_results: 500 };
+    if (nextCursor) options.next_cursor = nextCursor;
+
+    const result = await withRetry(() => cloudinary.api.transformations(options), {
+      label: 'Listing named transformations'
+    });
+    (result.transformations || []).forEach(transformation => {
+      const name = transformation.name.replace(/^t_/, '');
+      names.push(`t_${name}`);
+    });
+    nextCursor = result.next_cursor;
+  } while (nextCursor);
+
+  return names;
+}
+
+// Derived resources (eager and on-the-fly derivatives) of one asset, as
+// { transformation, format, bytes, secure_url }
+async function listDerived(resource) {
+  const derived = [];
+  let nextCursor = null;
+
+  do {
+    const options = {
+      resource_type: resource.resource_type || 'image',
+      type: resource.type || 'upload',
+      max_results: DERIVED_PAGE_SIZE
+    };
+    if (nextCursor) options.derived_next_cursor = nextCursor;
+
+    const result = await withRetry(() => cloudinary.api.resource(resource.public_id, options), {
+      label: `Listing derived resources of ${resource.public_id}`
+    });
+    (result.derived || []).forEach(item => {
+      derived.push({
+        transformation: item.transformation,
+        format: item.format || resource.format,
+        bytes: item.bytes,
+        secure_url: item.secure_url || item.url
+      });
+    });
+    nextCursor = result.derived_next_cursor;
+  } while (nextCursor);
+
+  return derived;
+}
+
+// Delivery URL of a rendition. Authenticated assets need a signed URL for
+// derived versions too; private ones only restrict the original.
+function renditionUrl(resource, transformation, format) {
+  return cloudinary.url(resource.public_id, {
+    resource_type: resource.resource_type || 'image',
+    type: resource.type || 'upload',
+    raw_transformation: transformation,
+    format,
+    secure: true,
+    sign_url: resource.type === 'authenticated'
+  });
+}
+
+module.exports = {
+  listNamedTransformations,
+  listDerived,
+  renditionUrl
+};
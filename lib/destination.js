@@ -0,0 +1,254 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { trackTempFile } = require('./shutdown');
+
+// s3 (AWS), s3-compatible (MinIO, R2, Wasabi, ... at S3_ENDPOINT) or local
+const DESTINATION = process.env.DESTINATION || (process.env.S3_ENDPOINT ? 's3-compatible' : 's3');
+const DESTINATION_DIR = process.env.DESTINATION_DIR || 'export';
+const DESTINATION_TYPES = ['s3', 's3-compatible', 'local'];
+
+// Local destinations keep each object's metadata, tags and policy settings here
+const LOCAL_METADATA_DIR = '.s3meta';
+
+function notFound(key) {
+  const error = new Error(`Not found: ${key}`);
+  error.code = 'NotFound';
+  error.statusCode = 404;
+  return error;
+}
+
+// Where objects are written. Every method takes S3 request parameters without
+// Bucket and answers like the S3 client does (ETag, ContentLength, Metadata,
+// NotFound errors), so callers stay the same whatever the destination is.
+class S3Destination {
+  constructor(options = {}) {
+    this.type = options.type || 's3';
+    this.bucket = options.bucket || process.env.AWS_S3_BUCKET_NAME;
+    this.endpoint = options.endpoint || (this.type === 's3-compatible' ? process.env.S3_ENDPOINT : null);
+
+    if (this.type === 's3-compatible' && !this.endpoint) {
+      throw new Error('The s3-compatible destination needs S3_ENDPOINT (e.g. http://localhost:9000)');
+    }
+
+    this.s3 = options.s3 || new AWS.S3({
+      // R2 expects "auto", MinIO accepts anything; AWS needs the bucket's region
+      region: process.env.AWS_REGION || (this.endpoint ? 'us-east-1' : undefined),
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      endpoint: this.endpoint || undefined,
+      // Most S3-compatible stores only support path-style addressing
+      s3ForcePathStyle: Boolean(this.endpoint) && process.env.S3_FORCE_PATH_STYLE !== 'false',
+      signatureVersion: 'v4'
+    });
+  }
+
+  static requiredEnvVars(type) {
+    const vars = ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_S3_BUCKET_NAME'];
+    return type === 's3-compatible' ? vars.concat('S3_ENDPOINT') : ['AWS_REGION'].concat(vars);
+  }
+
+  upload(params, options = {}) {
+    return this.s3.upload({ ...params, Bucket: this.bucket }, options).promise();
+  }
+
+  putObject(params) {
+    return this.s3.putObject({ ...params, Bucket: this.bucket }).promise();
+  }
+
+  // Replaces the metadata and settings of an existing object by copying it onto
+  // itself; tags are kept. Answers like upload(), with the new ETag.
+  async updateMetadata(params) {
+    const result = await this.s3.copyObject({
+      ...params,
+      Bucket: this.bucket,
+      CopySource: `${this.bucket}/${params.Key.split('/').map(encodeURIComponent).join('/')}`,
+      MetadataDirective: 'REPLACE'
+    }).promise();
+    return { ETag: result.CopyObjectResult.ETag, Key: params.Key };
+  }
+
+  headObject(key) {
+    return this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  getObject(key) {
+    return this.s3.getObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  createReadStream(key) {
+    return this.s3.getObject({ Bucket: this.bucket, Key: key }).createReadStream();
+  }
+
+  // Public URL of the bucket, used when ASSET_BASE_URL is not set
+  baseUrl() {
+    if (this.endpoint) return `${this.endpoint.replace(/\/+$/, '')}/${this.bucket}`;
+    return `https://${this.bucket}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com`;
+  }
+
+  describe() {
+    return this.endpoint ? `s3://${this.bucket} at ${this.endpoint}` : `s3://${this.bucket}`;
+  }
+}
+
+// A plain directory: objects become files under their key, for archival
+// exports and for rehearsing a migration on one machine
+class LocalDestination {
+  constructor(options = {}) {
+    this.type = 'local';
+    this.dir = path.resolve(options.dir || DESTINATION_DIR);
+  }
+
+  static requiredEnvVars() {
+    return [];
+  }
+
+  filePath(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(this.dir + path.sep)) {
+      throw new Error(`Key escapes the destination directory: ${key}`);
+    }
+    return filePath;
+  }
+
+  metadataPath(key) {
+    return path.join(this.dir, LOCAL_METADATA_DIR, `${key}.json`);
+  }
+
+  // Streams the body into a temp file and renames it into place, so a failed
+  // transfer never leaves a partial object behind
+  async upload(params, options = {}) {
+    const filePath = this.filePath(params.Key);
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const hash = crypto.createHash('md5');
+    let bytes = 0;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const untrack = trackTempFile(tempPath);
+    try {
+      const body = Buffer.isBuffer(params.Body) || typeof params.Body === 'string'
+        ? [params.Body]
+        : params.Body;
+      await pipeline(body, async function* (source) {
+        for await (const chunk of source) {
+          const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+          hash.update(buffer);
+          bytes += buffer.length;
+          yield buffer;
+        }
+      }, fs.createWriteStream(tempPath));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    } finally {
+      untrack();
+    }
+
+    const etag = `"${hash.digest('hex')}"`;
+    const { Body, Key, ...settings } = params;
+    const metadataPath = this.metadataPath(params.Key);
+    fs.mkdirSync(path.dirname(metadataPath), { recursive: true });
+    fs.writeFileSync(metadataPath, JSON.stringify({
+      ...settings,
+      ETag: etag,
+      ContentLength: bytes,
+      Tags: options.tags || [],
+      LastModified: new Date().toISOString()
+    }, null, 2));
+
+    return { ETag: etag, Key: params.Key, Location: filePath };
+  }
+
+  putObject(params) {
+    return this.upload(params);
+  }
+
+  async updateMetadata(params) {
+    const { Key, ...settings } = params;
+    const metadataPath = this.metadataPath(Key);
+    if (!fs.existsSync(this.filePath(Key))) throw notFound(Key);
+
+    let stored = {};
+    try {
+      stored = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    } catch (error) {
+      // Copied in by hand; the new settings are all there is
+    }
+    fs.mkdirSync(path.dirname(metadataPath), { recursive: true });
+    fs.writeFileSync(metadataPath, JSON.stringify({ ...stored, ...settings }, null, 2));
+    return { ETag: stored.ETag, Key, Location: this.filePath(Key) };
+  }
+
+  async headObject(key) {
+    const filePath = this.filePath(key);
+    if (!fs.existsSync(filePath)) throw notFound(key);
+
+    let stored = {};
+    try {
+      stored = JSON.parse(fs.readFileSync(this.metadataPath(key), 'utf8'));
+    } catch (error) {
+      // Files copied in by hand have no metadata; describe them from the file itself
+    }
+    const { Tags, ...head } = stored;
+
+    return {
+      ...head,
+      ContentLength: fs.statSync(filePath).size,
+      Metadata: head.Metadata || {}
+    };
+  }
+
+  async getObject(key) {
+    const head = await this.headObject(key);
+    return { ...head, Body: fs.readFileSync(this.filePath(key)) };
+  }
+
+  createReadStream(key) {
+    const filePath = this.filePath(key);
+    const stream = fs.createReadStream(filePath);
+    // Match the S3 client's error for a missing object
+    stream.on('error', error => {
+      if (error.code === 'ENOENT') {
+        error.code = 'NotFound';
+        error.statusCode = 404;
+      }
+    });
+    return stream;
+  }
+
+  baseUrl() {
+    return `file://${this.dir}`;
+  }
+
+  describe() {
+    return this.dir;
+  }
+}
+
+// The destination named on the command line or in DESTINATION
+function createDestination(options = {}) {
+  const type = options.type || DESTINATION;
+
+  if (!DESTINATION_TYPES.includes(type)) {
+    throw new Error(`Unknown destination "${type}" (expected ${DESTINATION_TYPES.join(', ')})`);
+  }
+  return type === 'local'
+    ? new LocalDestination({ dir: options.dir })
+    : new S3Destination({ ...options, type });
+}
+
+// Environment variables the CLIs must check before creating a destination
+function requiredEnvVars(type = DESTINATION) {
+  return type === 'local' ? LocalDestination.requiredEnvVars() : S3Destination.requiredEnvVars(type);
+}
+
+module.exports = {
+  createDestination,
+  requiredEnvVars,
+  S3Destination,
+  LocalDestination,
+  DESTINATION_TYPES
+};
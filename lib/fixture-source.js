@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Files in a fixture directory that describe the fixtures rather than being assets
+const FIXTURE_CONFIG_FILES = ['resources.json', 'failures.json'];
+const RESOURCE_TYPES = ['image', 'video', 'raw'];
+const DEFAULT_SNAPSHOT_BYTES = 1024;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+function md5(buffer) {
+  return crypto.createHash('md5').update(buffer).digest('hex');
+}
+
+// Deterministic filler for snapshot assets that come without content
+function syntheticContent(seed, bytes) {
+  const content = Buffer.alloc(bytes);
+  let block = crypto.createHash('sha256').update(seed).digest();
+  for (let offset = 0; offset < bytes; offset += block.length) {
+    block.copy(content, offset);
+    block = crypto.createHash('sha256').update(block).digest();
+  }
+  return content;
+}
+
+function walk(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (entry.name.startsWith('.')) return [];
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(fullPath, base) : [path.relative(base, fullPath).split(path.sep).join('/')];
+  });
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(String(offset)).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  return cursor ? parseInt(Buffer.from(cursor, 'base64').toString(), 10) || 0 : 0;
+}
+
+function parseBytes(value) {
+  const match = /^(\d+(?:\.\d+)?)(b|kb|mb|gb)?$/i.exec(value);
+  return match ? parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()] : NaN;
+}
+
+function wildcard(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+// Assets of a Cloudinary account read from a fixture directory or a snapshot
+// file, answering the Admin API queries the migration scripts make. Deletions
+// are kept in memory, so a rehearsal never changes the fixtures.
+//
+// A directory holds <resource_type>/<type>/<public_id>.<format> files, plus
+// optional resources.json (per-asset field overrides such as tags, context or
+// created_at) and failures.json (injected failures). A snapshot is a JSON file
+// { resources: [...], failures: [...] } with Admin API resource objects; their
+// content comes from "file" or "content" fields, or is synthesized to "bytes".
+class FixtureSource {
+  constructor(fixturePath) {
+    this.path = path.resolve(fixturePath);
+    this.resources = [];
+    this.contents = new Map();
+    this.deleted = new Set();
+    this.failures = [];
+
+    if (fs.statSync(this.path).isDirectory()) {
+      this.loadDirectory();
+    } else {
+      this.loadSnapshot();
+    }
+
+    // Listings are ordered by public_id so cursors stay stable
+    this.resources.sort((a, b) => FixtureSource.key(a).localeCompare(FixtureSource.key(b)));
+  }
+
+  static key({ resource_type, type, public_id }) {
+    return `${resource_type || 'image'}/${type || 'upload'}/${public_id}`;
+  }
+
+  loadDirectory() {
+    const overrides = this.readJson('resources.json', []);
+    this.failures = this.readJson('failures.json', []);
+
+    walk(this.path).forEach(relativePath => {
+      if (FIXTURE_CONFIG_FILES.includes(relativePath)) return;
+
+      const [resourceType, type, ...rest] = relativePath.split('/');
+      if (!RESOURCE_TYPES.includes(resourceType) || !type || rest.length === 0) {
+        console.warn(`⚠️  Ignoring fixture ${relativePath} (expected <resource_type>/<type>/<public_id>.<format>)`);
+        return;
+      }
+
+      const filePath = path.join(this.path, relativePath);
+      const stat = fs.statSync(filePath);
+      const name = rest.join('/');
+      // Raw files keep their extension in the public_id and have no format
+      const extension = path.extname(name);
+      const isRaw = resourceType === 'raw' || !extension;
+      const publicId = isRaw ? name : name.slice(0, -extension.length);
+      const override = overrides.find(entry => entry.public_id === publicId &&
+        (entry.resource_type || 'image') === resourceType && (entry.type || 'upload') === type) || {};
+
+      this.add({
+        public_id: publicId,
+        resource_type: resourceType,
+        type,
+        format: isRaw ? undefined : extension.slice(1).toLowerCase(),
+        version: Math.floor(stat.mtimeMs / 1000),
+        created_at: stat.mtime.toISOString(),
+        ...override
+      }, fs.readFileSync(filePath));
+    });
+  }
+
+  loadSnapshot() {
+    const snapshot = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    const resources = Array.isArray(snapshot) ? snapshot : snapshot.resources || [];
+    this.failures = snapshot.failures || [];
+
+    resources.forEach(entry => {
+      const { file, content, ...resource } = entry;
+      let body;
+      if (file) {
+        body = fs.readFileSync(path.resolve(path.dirname(this.path), file));
+      } else if (content !== undefined) {
+        body = Buffer.from(content);
+      } else {
+        body = syntheticContent(FixtureSource.key(resource), resource.bytes || DEFAULT_SNAPSHOT_BYTES);
+      }
+      this.add(resource, body);
+    });
+  }
+
+  readJson(name, fallback) {
+    const filePath = path.join(this.path, name);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+  }
+
+  // Size and etag always describe the content served, so integrity checks hold
+  add(resource, body) {
+    const slash = resource.public_id.lastIndexOf('/');
+    const complete = {
+      resource_type: 'image',
+      type: 'upload',
+      folder: slash === -1 ? '' : resource.public_id.slice(0, slash),
+      tags: [],
+      created_at: new Date(0).toISOString(),
+      version: 1,
+      ...resource,
+      bytes: body.length,
+      etag: md5(body)
+    };
+    this.resources.push(complete);
+    this.contents.set(FixtureSource.key(complete), body);
+  }
+
+  live() {
+    return this.resources.filter(resource => !this.deleted.has(FixtureSource.key(resource)));
+  }
+
+  find(resourceType, type, publicId) {
+    return this.live().find(resource => resource.resource_type === resourceType &&
+      resource.type === type && resource.public_id === publicId) || null;
+  }
+
+  content(resource) {
+    return this.contents.get(FixtureSource.key(resource));
+  }
+
+  // One page of `resources` like the Admin API returns it
+  page(resources, { max_results, next_cursor, direction } = {}) {
+    const ordered = direction === 'desc' || direction === '-1' ? resources.slice().reverse() : resources;
+    const offset = decodeCursor(next_cursor);
+    const limit = Math.min(parseInt(max_results) || 10, 500);
+    const result = { resources: ordered.slice(offset, offset + limit) };
+    if (offset + limit < ordered.length) result.next_cursor = encodeCursor(offset + limit);
+    return result;
+  }
+
+  list(resourceType, options = {}) {
+    const since = options.start_at ? new Date(options.start_at).getTime() : null;
+    const matches = this.live().filter(resource => resource.resource_type === resourceType &&
+      (!options.type || resource.type === options.type) &&
+      (!options.prefix || resource.public_id.startsWith(options.prefix)) &&
+      (since === null || new Date(resource.created_at).getTime() >= since));
+
+    // Like the Admin API, only the first page of a listing reports the total
+    const result = this.page(matches, options);
+    if (!options.next_cursor) result.total_count = matches.length;
+    return result;
+  }
+
+  byIds(resourceType, type, publicIds) {
+    return { resources: publicIds.map(id => this.find(resourceType, type, id)).filter(Boolean) };
+  }
+
+  byTag(resourceType, tag, options) {
+    return this.page(this.live().filter(resource => resource.resource_type === resourceType &&
+      (resource.tags || []).includes(tag)), options);
+  }
+
+  byContext(resourceType, key, value, options) {
+    return this.page(this.live().filter(resource => {
+      const context = resource.context && resource.context.custom ? resource.context.custom : resource.context || {};
+      return resource.resource_type === resourceType && key in context && (value === undefined || context[key] === value);
+    }), options);
+  }
+
+  byModeration(resourceType, kind, status, options) {
+    return this.page(this.live().filter(resource => resource.resource_type === resourceType &&
+      (resource.moderation || []).some(entry => entry.kind === kind && entry.status === status)), options);
+  }
+
+  byAssetFolder(assetFolder, options) {
+    return this.page(this.live().filter(resource =>
+      (resource.asset_folder !== undefined ? resource.asset_folder : resource.folder) === assetFolder), options);
+  }
+
+  delete(resourceType, type, publicIds) {
+    const deleted = {};
+    publicIds.forEach(publicId => {
+      const resource = this.find(resourceType, type, publicId);
+      if (resource) this.deleted.add(FixtureSource.key(resource));
+      deleted[publicId] = resource ? 'deleted' : 'not_found';
+    });
+    return { deleted, partial: false };
+  }
+
+  // The Search API subset the rehearsals need: terms joined by AND, each
+  // field:value or field=value (with * wildcards) or bytes/width/height
+  // compared with < or >, e.g. "folder:products/* AND bytes>5mb AND tags=hero"
+  search(query = {}) {
+    const terms = (query.expression || '').split(/\s+AND\s+/i).map(term => term.trim()).filter(Boolean);
+    const predicates = terms.map(term => {
+      const comparison = /^(bytes|width|height)\s*([<>])\s*(\S+)$/i.exec(term);
+      if (comparison) {
+        const limit = parseBytes(comparison[3]);
+        return resource => comparison[2] === '>' ? resource[comparison[1]] > limit : resource[comparison[1]] < limit;
+      }
+
+      const match = /^(\w+)\s*[:=]\s*"?([^"]*)"?$/.exec(term);
+      if (!match) throw new Error(`Unsupported search term in fixture mode: ${term}`);
+      const [, field, value] = match;
+      const pattern = wildcard(value);
+      if (field === 'tags') return resource => (resource.tags || []).some(tag => pattern.test(tag));
+      return resource => resource[field] !== undefined && pattern.test(String(resource[field]));
+    });
+
+    let matches = this.live().filter(resource => predicates.every(predicate => predicate(resource)));
+    (query.sort_by || []).slice().reverse().forEach(sort => {
+      const [field, direction] = Object.entries(sort)[0];
+      matches = matches.slice().sort((a, b) => {
+        const order = a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0;
+        return direction === 'desc' ? -order : order;
+      });
+    });
+
+    const result = this.page(matches, query);
+    result.total_count = matches.length;
+    return result;
+  }
+
+  // The first injected failure that applies to this call, if any. A rule is
+  // { operation, public_id?, status?, mode?, delay_ms?, times? } where mode is
+  // "error" (default), "truncate" or "corrupt" (downloads only); without
+  // "times" it fails every matching call.
+  failureFor(operation, publicId) {
+    const rule = this.failures.find(entry => entry.operation === operation &&
+      (!entry.public_id || (publicId !== undefined && wildcard(entry.public_id).test(publicId))) &&
+      (entry.times === undefined || entry.times > 0));
+    if (!rule) return null;
+
+    if (rule.times !== undefined) rule.times--;
+    return rule;
+  }
+
+  describe() {
+    return `${this.path} (${this.resources.length} asset(s), ${this.failures.length} failure rule(s))`;
+  }
+}
+
+module.exports = FixtureSource;
@@ -0,0 +1,257 @@
+const sharp = require('sharp');
+
+// Largest width or height a transformation may produce, so a URL cannot ask
+// the server to allocate an arbitrarily large image
+const MAX_DIMENSION = parseInt(process.env.SERVER_MAX_DIMENSION) || 5000;
+
+const SUPPORTED_PARAMETERS = ['w', 'h', 'c', 'g', 'q', 'f', 'ar', 'dpr', 'b', 'x', 'y'];
+const CROP_MODES = ['scale', 'fit', 'limit', 'mfit', 'fill', 'lfill', 'pad', 'lpad', 'crop', 'thumb'];
+const GRAVITIES = {
+  center: 'centre',
+  north: 'north',
+  north_east: 'northeast',
+  east: 'east',
+  south_east: 'southeast',
+  south: 'south',
+  south_west: 'southwest',
+  west: 'west',
+  north_west: 'northwest'
+};
+// Content-aware gravities; sharp's attention strategy is the closest match
+const SMART_GRAVITIES = ['auto', 'face', 'faces'];
+const QUALITY_PRESETS = { auto: 80, 'auto:best': 90, 'auto:good': 80, 'auto:eco': 65, 'auto:low': 50 };
+const OUTPUT_FORMATS = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', webp: 'webp', avif: 'avif', gif: 'gif', tiff: 'tiff' };
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif',
+  tiff: 'image/tiff'
+};
+
+class TransformationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransformationError';
+    this.status = 400;
+  }
+}
+
+// "w_300,h_200,c_fill/e_..." -> one step per chained component. Values stay
+// strings where Cloudinary allows both absolute and relative forms.
+function parseTransformation(transformation) {
+  if (!transformation) return [];
+
+  return transformation.split('/').map(component => {
+    const step = {};
+
+    component.split(',').forEach(parameter => {
+      const separator = parameter.indexOf('_');
+      const name = parameter.slice(0, separator);
+      const value = parameter.slice(separator + 1);
+
+      if (separator <= 0 || !SUPPORTED_PARAMETERS.includes(name)) {
+        throw new TransformationError(`Unsupported transformation parameter: ${parameter}`);
+      }
+      if (name === 'c' && !CROP_MODES.includes(value)) {
+        throw new TransformationError(`Unsupported crop mode: ${value}`);
+      }
+      if (name === 'g' && !GRAVITIES[value] && !SMART_GRAVITIES.includes(value)) {
+        throw new TransformationError(`Unsupported gravity: ${value}`);
+      }
+      if (name === 'f' && value !== 'auto' && !OUTPUT_FORMATS[value]) {
+        throw new TransformationError(`Unsupported format: ${value}`);
+      }
+      if (name === 'q' && !QUALITY_PRESETS[value] && !(parseInt(value) >= 1 && parseInt(value) <= 100)) {
+        throw new TransformationError(`Unsupported quality: ${value}`);
+      }
+
+      step[name] = value;
+    });
+
+    return step;
+  });
+}
+
+// Format and quality apply to the final image, so the last one in the chain wins
+function outputSettings(steps) {
+  const settings = { format: null, quality: null };
+  steps.forEach(step => {
+    if (step.f) settings.format = step.f;
+    if (step.q) settings.quality = QUALITY_PRESETS[step.q] || parseInt(step.q);
+  });
+  return settings;
+}
+
+// f_auto picks the best format the client accepts, like Cloudinary does
+function resolveFormat(requested, extension, accept, originalFormat) {
+  if (requested && requested !== 'auto') return requested;
+  if (requested === 'auto') {
+    if (/image\/avif/.test(accept || '')) return 'avif';
+    if (/image\/webp/.test(accept || '')) return 'webp';
+  }
+  if (extension && OUTPUT_FORMATS[extension]) return extension;
+  return OUTPUT_FORMATS[originalFormat] ? originalFormat : 'jpg';
+}
+
+function parseDimension(value, original) {
+  if (value === undefined) return null;
+  const number = parseFloat(value);
+  if (Number.isNaN(number) || number <= 0) {
+    throw new TransformationError(`Invalid dimension: ${value}`);
+  }
+  // "0.5" or "1.0" are relative to the input, integers are pixels
+  return value.includes('.') ? Math.round(original * number) : Math.round(number);
+}
+
+function parseAspectRatio(value) {
+  if (value === undefined) return null;
+  const [width, height] = value.split(':').map(parseFloat);
+  const ratio = height ? width / height : width;
+  if (!ratio || Number.isNaN(ratio)) {
+    throw new TransformationError(`Invalid aspect ratio: ${value}`);
+  }
+  return ratio;
+}
+
+function parseBackground(value) {
+  if (!value || value === 'auto') return { r: 255, g: 255, b: 255, alpha: 1 };
+  return value.startsWith('rgb:') ? `#${value.slice(4)}` : value;
+}
+
+function clamp(value) {
+  return value === null ? null : Math.max(1, Math.min(MAX_DIMENSION, value));
+}
+
+// Target width/height of one step, after relative sizes, aspect ratio and DPR
+function stepSize(step, metadata) {
+  let width = parseDimension(step.w, metadata.width);
+  let height = parseDimension(step.h, metadata.height);
+  const ratio = parseAspectRatio(step.ar);
+
+  if (ratio) {
+    if (width && !height) height = Math.round(width / ratio);
+    else if (height && !width) width = Math.round(height * ratio);
+    else if (!width && !height) {
+      width = metadata.width;
+      height = Math.round(width / ratio);
+      if (height > metadata.height) {
+        height = metadata.height;
+        width = Math.round(height * ratio);
+      }
+    }
+  }
+
+  const dpr = step.dpr ? parseFloat(step.dpr) : 1;
+  if (Number.isNaN(dpr) || dpr <= 0) {
+    throw new TransformationError(`Invalid dpr: ${step.dpr}`);
+  }
+
+  return {
+    width: clamp(width ? Math.round(width * dpr) : null),
+    height: clamp(height ? Math.round(height * dpr) : null)
+  };
+}
+
+function position(gravity) {
+  if (SMART_GRAVITIES.includes(gravity)) return sharp.strategy.attention;
+  return GRAVITIES[gravity || 'center'];
+}
+
+// c_crop cuts a region out of the image without scaling it
+function cropRegion(step, size, metadata) {
+  const width = Math.min(size.width || metadata.width, metadata.width);
+  const height = Math.min(size.height || metadata.height, metadata.height);
+  const gravity = step.g || 'center';
+
+  let left = Math.round((metadata.width - width) / 2);
+  let top = Math.round((metadata.height - height) / 2);
+  if (gravity.includes('west')) left = 0;
+  if (gravity.includes('east')) left = metadata.width - width;
+  if (gravity.startsWith('north')) top = 0;
+  if (gravity.startsWith('south')) top = metadata.height - height;
+  if (step.x !== undefined) left = parseInt(step.x) || 0;
+  if (step.y !== undefined) top = parseInt(step.y) || 0;
+
+  return {
+    left: Math.max(0, Math.min(left, metadata.width - width)),
+    top: Math.max(0, Math.min(top, metadata.height - height)),
+    width,
+    height
+  };
+}
+
+async function applyStep(buffer, step) {
+  if (step.w === undefined && step.h === undefined && step.ar === undefined) {
+    return buffer;
+  }
+
+  // EXIF orientation is applied first, so sizes refer to the image as displayed
+  const oriented = await sharp(buffer).rotate().toBuffer();
+  const metadata = await sharp(oriented).metadata();
+  const size = stepSize(step, metadata);
+  const image = sharp(oriented);
+  const crop = step.c || 'scale';
+
+  switch (crop) {
+    case 'scale':
+      image.resize(size.width, size.height, { fit: size.width && size.height ? 'fill' : 'inside' });
+      break;
+    case 'fit':
+    case 'limit':
+      image.resize(size.width, size.height, { fit: 'inside', withoutEnlargement: crop === 'limit' });
+      break;
+    case 'mfit':
+      image.resize(size.width, size.height, { fit: 'outside' });
+      break;
+    case 'fill':
+    case 'lfill':
+    case 'thumb':
+      image.resize(size.width, size.height, {
+        fit: 'cover',
+        position: position(step.g),
+        withoutEnlargement: crop === 'lfill'
+      });
+      break;
+    case 'pad':
+    case 'lpad':
+      image.resize(size.width, size.height, {
+        fit: 'contain',
+        background: parseBackground(step.b),
+        withoutEnlargement: crop === 'lpad'
+      });
+      break;
+    case 'crop':
+      image.extract(cropRegion(step, size, metadata));
+      break;
+  }
+
+  return image.toBuffer();
+}
+
+// Applies a parsed transformation chain and encodes the result.
+// Returns { body, format, contentType }.
+async function transformImage(input, steps, options = {}) {
+  let buffer = input;
+  for (const step of steps) {
+    buffer = await applyStep(buffer, step);
+  }
+
+  const { quality } = outputSettings(steps);
+  const format = options.format;
+  const encoderOptions = quality && format !== 'png' && format !== 'gif' ? { quality } : {};
+  const body = await sharp(buffer).rotate().toFormat(OUTPUT_FORMATS[format], encoderOptions).toBuffer();
+
+  return { body, format, contentType: CONTENT_TYPES[format] };
+}
+
+module.exports = {
+  parseTransformation,
+  outputSettings,
+  resolveFormat,
+  transformImage,
+  TransformationError,
+  CONTENT_TYPES
+};
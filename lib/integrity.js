@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Cloudinary's etag is the MD5 of the original file
+const MD5_PATTERN = /^[a-f0-9]{32}$/i;
+
+class IntegrityError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'IntegrityError';
+    // A truncated or corrupted transfer is usually transient, so retry it
+    this.category = 'integrity';
+    this.retryable = true;
+    this.details = details;
+  }
+}
+
+function expectedMd5(resource) {
+  return resource && MD5_PATTERN.test(resource.etag || '') ? resource.etag.toLowerCase() : null;
+}
+
+// Pass-through stream that hashes (MD5 + SHA-256) and counts the bytes going
+// through it. If the totals do not match what was expected it fails at the
+// end of the stream, before the consumer sees 'end', so an S3 upload fed from
+// it is aborted instead of completed.
+class HashingStream extends Transform {
+  constructor(expected = {}) {
+    super();
+    this.expected = expected;
+    this.bytes = 0;
+    this.md5Hash = crypto.createHash('md5');
+    this.sha256Hash = crypto.createHash('sha256');
+    this.result = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.bytes += chunk.length;
+    this.md5Hash.update(chunk);
+    this.sha256Hash.update(chunk);
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    this.result = {
+      bytes: this.bytes,
+      md5: this.md5Hash.digest('hex'),
+      sha256: this.sha256Hash.digest('hex')
+    };
+
+    const { bytes, md5 } = this.expected;
+    if (bytes && this.result.bytes !== bytes) {
+      callback(new IntegrityError(
+        `Size mismatch: expected ${bytes} bytes, received ${this.result.bytes}`,
+        { expected: this.expected, actual: this.result }
+      ));
+      return;
+    }
+    if (md5 && this.result.md5 !== md5) {
+      callback(new IntegrityError(
+        `Checksum mismatch: expected MD5 ${md5}, received ${this.result.md5}`,
+        { expected: this.expected, actual: this.result }
+      ));
+      return;
+    }
+
+    callback();
+  }
+}
+
+// Hashes a whole readable stream, e.g. an object read back from S3
+async function hashStream(stream) {
+  const md5 = crypto.createHash('md5');
+  const sha256 = crypto.createHash('sha256');
+  let bytes = 0;
+
+  for await (const chunk of stream) {
+    bytes += chunk.length;
+    md5.update(chunk);
+    sha256.update(chunk);
+  }
+
+  return { bytes, md5: md5.digest('hex'), sha256: sha256.digest('hex') };
+}
+
+module.exports = {
+  HashingStream,
+  IntegrityError,
+  expectedMd5,
+  hashStream
+};
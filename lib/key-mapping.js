@@ -0,0 +1,117 @@
+// Maps a Cloudinary resource to its S3 object key. Every script that reads or
+// writes S3 keys goes through this module so the layout is defined in one place.
+
+const KEY_STRATEGIES = {
+  default: '{prefix}/{public_id}.{format}',
+  typed: '{prefix}/{resource_type}/{type}/{public_id}.{format}',
+  versioned: '{prefix}/{resource_type}/{type}/v{version}/{public_id}.{format}'
+};
+
+// Derived renditions are keyed by their transformation string, e.g.
+// cloudinary/derived/c_fill,w_300/products/shoe.webp
+const DEFAULT_DERIVED_TEMPLATE = '{prefix}/derived/{transformation}/{public_id}.{format}';
+
+const PLACEHOLDERS = ['prefix', 'resource_type', 'type', 'folder', 'public_id', 'version', 'format', 'transformation'];
+
+// Placeholders that may be empty; their path segment (or ".ext") is dropped
+const OPTIONAL_PLACEHOLDERS = ['prefix', 'folder', 'format'];
+
+class S3KeyMapper {
+  constructor(options = {}) {
+    const strategy = options.template || process.env.S3_KEY_TEMPLATE || 'default';
+    this.template = KEY_STRATEGIES[strategy] || strategy;
+
+    if (options.prefix !== undefined) {
+      this.prefix = options.prefix;
+    } else if (process.env.S3_KEY_PREFIX !== undefined) {
+      this.prefix = process.env.S3_KEY_PREFIX;
+    } else {
+      this.prefix = 'cloudinary';
+    }
+    this.prefix = this.prefix.replace(/^\/+|\/+$/g, '');
+
+    this.derivedTemplate = options.derivedTemplate || process.env.S3_DERIVED_KEY_TEMPLATE || DEFAULT_DERIVED_TEMPLATE;
+    // Sidecar JSON with the asset's Cloudinary record sits next to the object
+    this.sidecarSuffix = options.sidecarSuffix || process.env.S3_SIDECAR_SUFFIX || '.cloudinary.json';
+
+    // Where applications fetch migrated objects: a CDN in front of the bucket, or
+    // the bucket itself (defaultBaseUrl: the destination's own URL)
+    const bucketUrl = options.defaultBaseUrl ||
+      `https://${process.env.AWS_S3_BUCKET_NAME}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com`;
+    this.baseUrl = (options.baseUrl || process.env.ASSET_BASE_URL || bucketUrl).replace(/\/+$/, '');
+
+    S3KeyMapper.validate(this.template, ['public_id']);
+    S3KeyMapper.validate(this.derivedTemplate, ['public_id', 'transformation']);
+  }
+
+  static validate(template, required) {
+    const used = (template.match(/\{(\w+)\}/g) || []).map(token => token.slice(1, -1));
+    const unknown = used.filter(name => !PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholder(s) in S3 key template "${template}": ${unknown.join(', ')}`);
+    }
+    required.forEach(name => {
+      if (!used.includes(name)) {
+        throw new Error(`S3 key template "${template}" must contain {${name}}`);
+      }
+    });
+  }
+
+  keyFor(resource) {
+    return this.render(this.template, resource);
+  }
+
+  // Key of a derived rendition of `resource`, e.g. an eager derivative or a
+  // named transformation. `format` is the rendition's own format.
+  derivedKeyFor(resource, transformation, format) {
+    return this.render(this.derivedTemplate, { ...resource, format }, transformation);
+  }
+
+  sidecarKeyFor(resource) {
+    return this.keyFor(resource) + this.sidecarSuffix;
+  }
+
+  render(template, resource, transformation) {
+    const values = {
+      prefix: this.prefix,
+      resource_type: resource.resource_type || 'image',
+      type: resource.type || 'upload',
+      folder: resource.folder || '',
+      public_id: resource.public_id,
+      version: resource.version,
+      // Raw files keep their extension in the public_id and have no format
+      format: resource.format || '',
+      transformation
+    };
+
+    let key = template;
+    if (!values.format) {
+      key = key.replace(/\.\{format\}/g, '');
+    }
+
+    key = key.replace(/\{(\w+)\}/g, (token, name) => {
+      const value = values[name];
+      if ((value === undefined || value === null || value === '') && !OPTIONAL_PLACEHOLDERS.includes(name)) {
+        throw new Error(`Cannot build S3 key for ${resource.public_id}: missing ${name}`);
+      }
+      return value === undefined || value === null ? '' : String(value);
+    });
+
+    return key.split('/').filter(Boolean).join('/');
+  }
+
+  urlFor(key) {
+    // Commas are common in transformation keys and valid in URL paths
+    const path = key.split('/').map(segment => encodeURIComponent(segment).replace(/%2C/g, ',')).join('/');
+    return `${this.baseUrl}/${path}`;
+  }
+
+  describe() {
+    return `${this.template} (prefix: ${this.prefix || 'none'})`;
+  }
+}
+
+S3KeyMapper.KEY_STRATEGIES = KEY_STRATEGIES;
+S3KeyMapper.DEFAULT_DERIVED_TEMPLATE = DEFAULT_DERIVED_TEMPLATE;
+
+module.exports = S3KeyMapper;
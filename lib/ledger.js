@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const LEDGER_FILE = process.env.LEDGER_FILE || path.join(__dirname, '..', 'migration-ledger.jsonl');
+
+// Lifecycle of an asset, in order. A row only moves backwards when an asset
+// is uploaded again (which invalidates an earlier verification).
+const STATES = ['listed', 'downloaded', 'uploaded', 'verified', 'deleted'];
+
+// Append-only JSONL record of what happened to each asset. Every update
+// appends the full row, so the last line for an asset is authoritative and a
+// crash can at worst lose the line being written.
+class MigrationLedger {
+  constructor(filePath = LEDGER_FILE) {
+    this.filePath = filePath;
+    this.rows = new Map();
+    this.loaded = false;
+  }
+
+  static assetKey({ public_id, resource_type, type }) {
+    return `${resource_type || 'image'}/${type || 'upload'}/${public_id}`;
+  }
+
+  async load() {
+    if (this.loaded) return this;
+    this.loaded = true;
+
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const row = JSON.parse(line);
+        this.rows.set(row.key, row);
+      } catch (error) {
+        // A torn last line after a crash is expected; skip it
+        console.warn(`⚠️  Skipping unreadable ledger line in ${this.filePath}`);
+      }
+    }
+
+    return this;
+  }
+
+  get(resource) {
+    return this.rows.get(MigrationLedger.assetKey(resource)) || null;
+  }
+
+  findByPublicId(publicId) {
+    return Array.from(this.rows.values()).filter(row => row.public_id === publicId);
+  }
+
+  // Records that an asset reached `state` (or, with state null, only updates
+  // fields such as last_error). 'listed' never moves an existing row backwards.
+  record(resource, state, fields = {}) {
+    const key = MigrationLedger.assetKey(resource);
+    const now = new Date().toISOString();
+    const existing = this.rows.get(key);
+
+    const row = {
+      ...(existing || {
+        key,
+        public_id: resource.public_id,
+        resource_type: resource.resource_type || 'image',
+        type: resource.type || 'upload',
+        state: null
+      }),
+      ...fields,
+      updated_at: now
+    };
+
+    if (resource.format && !row.format) row.format = resource.format;
+    if (resource.bytes && !row.bytes) row.bytes = resource.bytes;
+
+    if (state) {
+      const keepState = state === 'listed' && existing && existing.state;
+      if (!keepState) row.state = state;
+      row[`${state}_at`] = now;
+      if (state !== 'listed') delete row.last_error;
+    }
+
+    this.rows.set(key, row);
+    fs.appendFileSync(this.filePath, JSON.stringify(row) + '\n');
+    return row;
+  }
+
+  recordError(resource, error, fields = {}) {
+    return this.record(resource, null, {
+      ...fields,
+      last_error: error,
+      failed_at: new Date().toISOString()
+    });
+  }
+
+  summary() {
+    const counts = { failed: 0 };
+    STATES.forEach(state => { counts[state] = 0; });
+
+    for (const row of this.rows.values()) {
+      if (row.state) counts[row.state] = (counts[row.state] || 0) + 1;
+      if (row.last_error) counts.failed++;
+    }
+
+    return counts;
+  }
+
+  // Rewrites the file with only the latest row per asset
+  compact() {
+    const tempPath = `${this.filePath}.tmp`;
+    const data = Array.from(this.rows.values()).map(row => JSON.stringify(row)).join('\n');
+    fs.writeFileSync(tempPath, data ? data + '\n' : '');
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+MigrationLedger.STATES = STATES;
+
+module.exports = MigrationLedger;
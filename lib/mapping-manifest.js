@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const MigrationLedger = require('./ledger');
+
+const MANIFEST_DIR = process.env.MANIFEST_DIR || path.join(__dirname, '..', 'manifests');
+// csv, jsonl, both or none
+const MAPPING_MANIFEST_FORMAT = process.env.MAPPING_MANIFEST_FORMAT || 'both';
+
+const COLUMNS = [
+  'public_id', 'resource_type', 'type', 'format', 'bytes', 'width', 'height',
+  'secure_url', 's3_key', 's3_url', 'md5', 'sha256', 'status', 'run_id', 'migrated_at'
+];
+
+function formatsFor(setting) {
+  if (setting === 'both') return ['csv', 'jsonl'];
+  if (setting === 'none') return [];
+  return setting.split(',').map(format => format.trim()).filter(Boolean);
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(row) {
+  return COLUMNS.map(column => csvValue(row[column])).join(',') + '\n';
+}
+
+// Splits one CSV record; quoted fields may contain commas and doubled quotes
+function parseCsvLine(line) {
+  const values = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+
+  return values;
+}
+
+// Where each migrated asset now lives, one row per asset, written as the run
+// goes (CSV and/or JSON Lines). Manifests of several runs can be merged into
+// one file for the whole account with MappingManifest.merge().
+class MappingManifest {
+  constructor(options = {}) {
+    this.dir = options.dir || MANIFEST_DIR;
+    this.formats = formatsFor(options.format || MAPPING_MANIFEST_FORMAT);
+    this.files = {};
+    this.count = 0;
+  }
+
+  get enabled() {
+    return this.formats.length > 0;
+  }
+
+  // Files are created on the first row, named after the run that writes them
+  open(runId) {
+    if (Object.keys(this.files).length > 0) return;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const name = `mapping-${runId || new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+    this.formats.forEach(format => {
+      const filePath = path.join(this.dir, `${name}.${format}`);
+      if (format === 'csv' && !fs.existsSync(filePath)) {
+        fs.writeFileSync(filePath, COLUMNS.join(',') + '\n');
+      }
+      this.files[format] = filePath;
+    });
+  }
+
+  record(row, runId) {
+    if (!this.enabled) return;
+    this.open(runId);
+
+    const entry = {};
+    COLUMNS.forEach(column => {
+      entry[column] = row[column] === undefined ? null : row[column];
+    });
+    entry.run_id = entry.run_id || runId || null;
+    entry.migrated_at = entry.migrated_at || new Date().toISOString();
+
+    if (this.files.jsonl) fs.appendFileSync(this.files.jsonl, JSON.stringify(entry) + '\n');
+    if (this.files.csv) fs.appendFileSync(this.files.csv, csvLine(entry));
+    this.count++;
+  }
+
+  describe() {
+    return Object.values(this.files).join(', ');
+  }
+
+  static async readRows(filePath) {
+    const rows = [];
+    const csv = path.extname(filePath).toLowerCase() === '.csv';
+    let header = null;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      if (!csv) {
+        try {
+          rows.push(JSON.parse(line));
+        } catch (error) {
+          console.warn(`⚠️  Skipping unreadable manifest line in ${filePath}`);
+        }
+        continue;
+      }
+
+      const values = parseCsvLine(line);
+      if (!header) {
+        header = values;
+        continue;
+      }
+      const row = {};
+      header.forEach((column, index) => {
+        row[column] = values[index] === '' || values[index] === undefined ? null : values[index];
+      });
+      ['bytes', 'width', 'height'].forEach(column => {
+        if (row[column] !== null && row[column] !== undefined) row[column] = Number(row[column]);
+      });
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  // Merges manifests (CSV or JSON Lines, any mix) into one row per asset. The
+  // most recent row wins; fields it lacks (e.g. checksums of a skipped asset)
+  // are kept from older rows.
+  static async merge(inputFiles, outputFile) {
+    const merged = new Map();
+    let read = 0;
+
+    for (const filePath of inputFiles) {
+      for (const row of await MappingManifest.readRows(filePath)) {
+        read++;
+        const key = MigrationLedger.assetKey(row);
+        const existing = merged.get(key);
+        if (!existing) {
+          merged.set(key, row);
+          continue;
+        }
+
+        const [older, newer] = (existing.migrated_at || '') <= (row.migrated_at || '') ? [existing, row] : [row, existing];
+        const combined = { ...older };
+        Object.keys(newer).forEach(column => {
+          if (newer[column] !== null && newer[column] !== undefined && newer[column] !== '') combined[column] = newer[column];
+        });
+        merged.set(key, combined);
+      }
+    }
+
+    const rows = Array.from(merged.values()).sort((a, b) => MigrationLedger.assetKey(a).localeCompare(MigrationLedger.assetKey(b)));
+    const tempPath = `${outputFile}.tmp`;
+
+    if (path.extname(outputFile).toLowerCase() === '.csv') {
+      fs.writeFileSync(tempPath, COLUMNS.join(',') + '\n' + rows.map(csvLine).join(''));
+    } else {
+      fs.writeFileSync(tempPath, rows.map(row => JSON.stringify(row) + '\n').join(''));
+    }
+    fs.renameSync(tempPath, outputFile);
+
+    return { read, written: rows.length };
+  }
+}
+
+MappingManifest.COLUMNS = COLUMNS;
+
+module.exports = MappingManifest;
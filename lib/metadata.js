@@ -0,0 +1,117 @@
+// Maps Cloudinary fields to S3 user metadata and to the sidecar JSON object
+// written next to each asset.
+
+// S3 rejects uploads whose user metadata (keys plus values, UTF-8) exceeds 2 KB
+const S3_METADATA_LIMIT = 2048;
+const TRUNCATED_KEY = 'metadata-truncated';
+
+// Header names allow lowercase letters, digits and dashes
+function metadataKey(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') || 'unnamed';
+}
+
+// HTTP headers only carry ASCII, so anything else is sent as an RFC 2047
+// encoded word, the form S3 itself returns non-ASCII metadata in
+function headerValue(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function entrySize(key, value) {
+  return Buffer.byteLength(key, 'utf8') + Buffer.byteLength(value, 'utf8');
+}
+
+// Structured metadata values are strings, numbers, dates or lists (sets)
+function metadataText(value) {
+  if (Array.isArray(value)) return value.join(',');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Admin API listings nest context under "custom"; the Search API does not
+function contextValues(context) {
+  if (!context) return {};
+  return context.custom && typeof context.custom === 'object' ? context.custom : context;
+}
+
+// Builds S3 user metadata from `core` entries (always kept, in order) and the
+// asset's structured metadata, context and tags, which are encoded for
+// headers and truncated or dropped to stay under the 2 KB limit. Returns
+// { metadata, truncated } where truncated lists the keys that were cut short
+// or left out; the sidecar JSON keeps the full values.
+function buildObjectMetadata(resource, core = {}) {
+  const entries = [];
+  Object.entries(core).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      entries.push({ key: metadataKey(key), value: headerValue(value), core: true });
+    }
+  });
+  Object.entries(resource.metadata || {}).forEach(([externalId, value]) => {
+    entries.push({ key: metadataKey(`metadata-${externalId}`), text: metadataText(value) });
+  });
+  Object.entries(contextValues(resource.context)).forEach(([key, value]) => {
+    entries.push({ key: metadataKey(`context-${key}`), text: metadataText(value) });
+  });
+  if (resource.tags && resource.tags.length > 0) {
+    entries.push({ key: 'tags', text: resource.tags.join(',') });
+  }
+
+  const metadata = {};
+  const truncated = [];
+  // Room for the marker, so it always fits when something had to give
+  let remaining = S3_METADATA_LIMIT - entrySize(TRUNCATED_KEY, 'true');
+
+  entries.forEach(entry => {
+    if (metadata[entry.key] !== undefined) return;
+
+    if (entry.core) {
+      metadata[entry.key] = entry.value;
+      remaining -= entrySize(entry.key, entry.value);
+      return;
+    }
+
+    let text = entry.text;
+    let value = headerValue(text);
+    while (entrySize(entry.key, value) > remaining && text.length > 0) {
+      // Shorten by the overshoot (at least one character) and re-encode
+      const overshoot = entrySize(entry.key, value) - remaining;
+      text = Array.from(text).slice(0, -Math.max(1, Math.ceil(overshoot / 4))).join('');
+      value = headerValue(text);
+    }
+
+    if (text.length === 0 || entrySize(entry.key, value) > remaining) {
+      truncated.push(entry.key);
+      return;
+    }
+    if (text !== entry.text) truncated.push(entry.key);
+    metadata[entry.key] = value;
+    remaining -= entrySize(entry.key, value);
+  });
+
+  if (truncated.length > 0) metadata[TRUNCATED_KEY] = 'true';
+  return { metadata, truncated };
+}
+
+// Everything Cloudinary knows about the asset, next to where it now lives
+function sidecarDocument(resource, fields = {}) {
+  return {
+    public_id: resource.public_id,
+    resource_type: resource.resource_type,
+    type: resource.type,
+    s3_key: fields.s3_key,
+    sidecar_key: fields.sidecar_key,
+    run_id: fields.run_id || null,
+    migrated_at: new Date().toISOString(),
+    metadata_truncated: fields.truncated || [],
+    cloudinary: resource
+  };
+}
+
+module.exports = {
+  buildObjectMetadata,
+  sidecarDocument,
+  contextValues,
+  headerValue,
+  S3_METADATA_LIMIT
+};
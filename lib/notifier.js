@@ -0,0 +1,336 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// Channels: each is configured by its own variables and off when they are unset
+const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL || null;
+const NOTIFY_WEBHOOK_URL = process.env.NOTIFY_WEBHOOK_URL || null;
+const SMTP_HOST = process.env.SMTP_HOST || null;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const NOTIFY_EMAIL_FROM = process.env.NOTIFY_EMAIL_FROM || null;
+const NOTIFY_EMAIL_TO = process.env.NOTIFY_EMAIL_TO || null;
+
+// Progress digests go out every N minutes or every N percent of the listing,
+// whichever comes first; alerts of one kind at most once per cooldown
+const NOTIFY_DIGEST_MINUTES = parseFloat(process.env.NOTIFY_DIGEST_MINUTES) || 30;
+const NOTIFY_PROGRESS_STEP = parseFloat(process.env.NOTIFY_PROGRESS_STEP) || 10;
+const NOTIFY_FAILURE_RATE = parseFloat(process.env.NOTIFY_FAILURE_RATE) || 0.05;
+const NOTIFY_STALL_MINUTES = parseFloat(process.env.NOTIFY_STALL_MINUTES) || 15;
+const NOTIFY_ALERT_COOLDOWN_MINUTES = parseFloat(process.env.NOTIFY_ALERT_COOLDOWN_MINUTES) || 30;
+
+// The failure rate is only judged over at least this many assets
+const FAILURE_RATE_MIN_SAMPLE = 20;
+const CHECK_INTERVAL_MS = 30 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function duration(seconds) {
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const minutes = Math.round(seconds / 60);
+  return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// A notification is { event, level: 'info' | 'warning' | 'error', title, text,
+// run_id, data }. A channel is any object with a name and async send(notification).
+
+class SlackChannel {
+  constructor(webhookUrl) {
+    this.name = 'Slack';
+    this.webhookUrl = webhookUrl;
+  }
+
+  async send(notification) {
+    const icon = { info: 'ℹ️', warning: '⚠️', error: '🚨' }[notification.level] || '';
+    await axios.post(this.webhookUrl, { text: `${icon} *${notification.title}*\n${notification.text}` }, { timeout: 10000 });
+  }
+}
+
+// Posts the notification as JSON, for chat tools, incident systems or scripts
+class WebhookChannel {
+  constructor(url) {
+    this.name = 'webhook';
+    this.url = url;
+  }
+
+  async send(notification) {
+    await axios.post(this.url, { ...notification, sent_at: new Date().toISOString() }, { timeout: 10000 });
+  }
+}
+
+class EmailChannel {
+  constructor(options) {
+    this.name = 'email';
+    this.from = options.from;
+    this.to = options.to;
+    this.transport = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send(notification) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: `[cld2s3] ${notification.title}`,
+      text: `${notification.text}\n\n${JSON.stringify(notification.data || {}, null, 2)}`
+    });
+  }
+}
+
+// Sends run events to the configured channels. While a run is tracked it polls
+// the migrator's statusSnapshot() and turns it into throttled progress
+// digests and alerts (failure rate over the threshold, deletion failures,
+// stalled progress), instead of one message per batch.
+class Notifier {
+  constructor(options = {}) {
+    this.channels = options.channels || Notifier.channelsFromEnv();
+    this.digestMs = (options.digestMinutes || NOTIFY_DIGEST_MINUTES) * MINUTE_MS;
+    this.progressStep = options.progressStep || NOTIFY_PROGRESS_STEP;
+    this.failureRate = options.failureRate || NOTIFY_FAILURE_RATE;
+    this.stallMs = (options.stallMinutes || NOTIFY_STALL_MINUTES) * MINUTE_MS;
+    this.cooldownMs = (options.cooldownMinutes || NOTIFY_ALERT_COOLDOWN_MINUTES) * MINUTE_MS;
+    this.checkIntervalMs = Math.min(CHECK_INTERVAL_MS, this.digestMs, this.stallMs);
+    this.source = null;
+    this.timer = null;
+    this.checking = false;
+  }
+
+  static channelsFromEnv() {
+    const channels = [];
+    if (SLACK_WEBHOOK_URL) channels.push(new SlackChannel(SLACK_WEBHOOK_URL));
+    if (NOTIFY_WEBHOOK_URL) channels.push(new WebhookChannel(NOTIFY_WEBHOOK_URL));
+    if (SMTP_HOST && NOTIFY_EMAIL_TO) {
+      channels.push(new EmailChannel({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: NOTIFY_EMAIL_FROM || process.env.SMTP_USER,
+        to: NOTIFY_EMAIL_TO
+      }));
+    }
+    return channels;
+  }
+
+  get enabled() {
+    return this.channels.length > 0;
+  }
+
+  describe() {
+    if (!this.enabled) return 'off';
+    return `${this.channels.map(channel => channel.name).join(', ')} (digest every ${this.digestMs / MINUTE_MS} min or ${this.progressStep}%)`;
+  }
+
+  // A failing channel is logged and never fails the migration
+  async send(notification) {
+    if (!this.enabled) return;
+
+    const results = await Promise.allSettled(this.channels.map(channel => channel.send(notification)));
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.warn(`⚠️  ${this.channels[index].name} notification failed: ${result.reason.message}`);
+      }
+    });
+    if (results.some(result => result.status === 'fulfilled')) {
+      console.log(`📣 Notification sent: ${notification.title}`);
+    }
+  }
+
+  // Starts watching `source` (the migrator) and announces the run
+  async start(source) {
+    if (!this.enabled) return;
+
+    this.source = source;
+    const snapshot = source.statusSnapshot();
+    const now = Date.now();
+    this.startedAt = now;
+    this.lastDigest = { at: now, counters: snapshot.counters };
+    this.lastStep = null;
+    this.rateBase = snapshot.counters;
+    this.lastAlerts = {};
+    this.lastChange = { at: now, processed: this.processed(snapshot.counters) };
+    this.stalled = false;
+    this.deleteFailuresSeen = snapshot.counters.delete_failed;
+
+    await this.send({
+      event: 'run_started',
+      level: 'info',
+      title: `Migration started (${snapshot.command})`,
+      text: `Run ${snapshot.run_id || '(new)'} to ${snapshot.destination}${snapshot.dry_run ? ' (dry run)' : ''}`,
+      run_id: snapshot.run_id,
+      data: { command: snapshot.command, destination: snapshot.destination, dry_run: snapshot.dry_run }
+    });
+
+    this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  // Stops watching and reports the outcome; `error` is set when the run threw
+  async finish(error = null) {
+    if (!this.enabled || !this.source) return;
+    clearInterval(this.timer);
+
+    const snapshot = this.source.statusSnapshot();
+    const { counters } = snapshot;
+    const elapsed = (Date.now() - this.startedAt) / 1000;
+    const failed = counters.failed + counters.delete_failed;
+
+    let outcome = { event: 'run_finished', level: failed > 0 ? 'warning' : 'info', title: `Migration finished (${snapshot.command})` };
+    if (error) {
+      outcome = { event: 'run_failed', level: 'error', title: `Migration failed (${snapshot.command})` };
+    } else if (snapshot.stopping) {
+      outcome = { event: 'run_stopped', level: 'warning', title: `Migration stopped by ${snapshot.stopping} (${snapshot.command})` };
+    }
+
+    await this.send({
+      ...outcome,
+      text: [
+        `Run ${snapshot.run_id} after ${duration(elapsed)}`,
+        `Migrated: ${counters.migrated}, skipped: ${counters.skipped}, failed: ${counters.failed}`,
+        `Deleted from Cloudinary: ${counters.deleted}, delete failed: ${counters.delete_failed}`,
+        error ? `Error: ${error.message || error}` : null,
+        !error && snapshot.stopping ? 'Re-run with --resume to continue.' : null
+      ].filter(Boolean).join('\n'),
+      run_id: snapshot.run_id,
+      data: { counters, failures_by_category: snapshot.failures_by_category, elapsed_seconds: Math.round(elapsed) }
+    });
+    this.source = null;
+  }
+
+  processed(counters) {
+    return counters.migrated + counters.skipped + counters.failed;
+  }
+
+  cooledDown(kind, now) {
+    if (this.lastAlerts[kind] && now - this.lastAlerts[kind] < this.cooldownMs) return false;
+    this.lastAlerts[kind] = now;
+    return true;
+  }
+
+  async check() {
+    if (this.checking || !this.source) return;
+    this.checking = true;
+    try {
+      const snapshot = this.source.statusSnapshot();
+      const now = Date.now();
+      const notifications = [
+        this.checkFailureRate(snapshot, now),
+        this.checkDeleteFailures(snapshot, now),
+        this.checkStall(snapshot, now),
+        this.checkDigest(snapshot, now)
+      ].filter(Boolean);
+
+      for (const notification of notifications) {
+        await this.send({ run_id: snapshot.run_id, ...notification });
+      }
+    } catch (error) {
+      console.warn(`⚠️  Notification check failed: ${error.message}`);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  checkFailureRate({ counters, failures_by_category }, now) {
+    const processed = this.processed(counters) - this.processed(this.rateBase);
+    if (processed < FAILURE_RATE_MIN_SAMPLE) return null;
+
+    const failed = counters.failed - this.rateBase.failed;
+    this.rateBase = counters;
+    const rate = failed / processed;
+    if (rate <= this.failureRate || !this.cooledDown('failure_rate', now)) return null;
+
+    return {
+      event: 'failure_rate_exceeded',
+      level: 'error',
+      title: `Failure rate ${percent(rate)} is over ${percent(this.failureRate)}`,
+      text: `${failed} of the last ${processed} assets failed. By category: ${JSON.stringify(failures_by_category)}`,
+      data: { rate, failed, processed, failures_by_category }
+    };
+  }
+
+  checkDeleteFailures({ counters, recent_errors }, now) {
+    const fresh = counters.delete_failed - this.deleteFailuresSeen;
+    if (fresh <= 0 || !this.cooledDown('delete_failures', now)) return null;
+
+    this.deleteFailuresSeen = counters.delete_failed;
+    const examples = recent_errors.filter(entry => entry.error.startsWith('delete failed')).slice(-5);
+    return {
+      event: 'deletion_failures',
+      level: 'error',
+      title: `${fresh} asset(s) could not be deleted from Cloudinary`,
+      text: examples.map(entry => `- ${entry.public_id}: ${entry.error}`).join('\n'),
+      data: { new_failures: fresh, total: counters.delete_failed, examples }
+    };
+  }
+
+  checkStall({ counters, position, current_type }, now) {
+    const processed = this.processed(counters);
+    if (processed !== this.lastChange.processed) {
+      this.lastChange = { at: now, processed };
+      if (this.stalled) {
+        this.stalled = false;
+        return { event: 'progress_resumed', level: 'info', title: 'Migration is making progress again', text: `${processed} assets handled` };
+      }
+      return null;
+    }
+
+    if (this.stalled || now - this.lastChange.at < this.stallMs) return null;
+    this.stalled = true;
+    return {
+      event: 'progress_stalled',
+      level: 'warning',
+      title: `No progress for ${duration((now - this.lastChange.at) / 1000)}`,
+      text: `Stuck at ${processed} assets${current_type ? ` in ${current_type.resource_type}/${current_type.type}` : ''}, position ${JSON.stringify(position)}`,
+      data: { processed, position, current_type }
+    };
+  }
+
+  // Progress since the last digest, every digest interval or progress step
+  checkDigest({ counters, progress, current_type }, now) {
+    const typeKey = current_type ? `${current_type.resource_type}/${current_type.type}` : null;
+    const step = progress.expected ? Math.floor((progress.processed / progress.expected) * 100 / this.progressStep) : null;
+    if (!this.lastStep || this.lastStep.typeKey !== typeKey) {
+      this.lastStep = { typeKey, step };
+    }
+
+    const stepCrossed = step !== null && this.lastStep.step !== null && step > this.lastStep.step;
+    const previous = this.lastDigest.counters;
+    const handled = this.processed(counters) - this.processed(previous);
+    // An idle run is reported by the stall alert, not by empty digests
+    const due = now - this.lastDigest.at >= this.digestMs && handled > 0;
+    if (!stepCrossed && !due) return null;
+
+    const rate = handled / ((now - this.lastDigest.at) / 1000);
+    const remaining = progress.expected ? Math.max(0, progress.expected - progress.processed) : null;
+    this.lastDigest = { at: now, counters };
+    this.lastStep.step = step;
+
+    return {
+      event: 'progress_digest',
+      level: 'info',
+      title: progress.expected
+        ? `Progress: ${percent(progress.processed / progress.expected)}${typeKey ? ` of ${typeKey}` : ''}`
+        : `Progress: ${this.processed(counters)} assets`,
+      text: [
+        `Since the last update: ${counters.migrated - previous.migrated} migrated, ${counters.skipped - previous.skipped} skipped, ${counters.failed - previous.failed} failed`,
+        `Run total: ${counters.migrated} migrated, ${counters.skipped} skipped, ${counters.failed} failed, ${counters.deleted} deleted`,
+        remaining !== null && rate > 0 ? `About ${duration(remaining / rate)} left at ${rate.toFixed(1)} assets/s` : null
+      ].filter(Boolean).join('\n'),
+      data: { counters, progress, assets_per_second: rate }
+    };
+  }
+}
+
+module.exports = {
+  Notifier,
+  SlackChannel,
+  WebhookChannel,
+  EmailChannel
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { contextValues } = require('./metadata');
+
+// Rules file; see s3-policies.example.json
+const S3_POLICY_FILE = process.env.S3_POLICY_FILE || null;
+
+const STORAGE_CLASSES = [
+  'STANDARD', 'STANDARD_IA', 'ONEZONE_IA', 'INTELLIGENT_TIERING',
+  'GLACIER_IR', 'GLACIER', 'DEEP_ARCHIVE', 'REDUCED_REDUNDANCY'
+];
+const ACLS = [
+  'private', 'public-read', 'public-read-write', 'authenticated-read',
+  'aws-exec-read', 'bucket-owner-read', 'bucket-owner-full-control'
+];
+const ENCRYPTIONS = ['AES256', 'aws:kms', 'aws:kms:dsse'];
+const SETTINGS = ['storageClass', 'serverSideEncryption', 'sseKmsKeyId', 'cacheControl', 'contentDisposition', 'acl'];
+const CONDITIONS = ['resourceType', 'type', 'format', 'folder', 'minBytes', 'maxBytes', 'olderThanDays', 'newerThanDays'];
+
+// S3 allows 10 tags per object; keys up to 128 and values up to 256 characters
+const MAX_OBJECT_TAGS = 10;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "5mb" -> bytes; plain numbers are bytes
+function parseSize(value) {
+  if (typeof value === 'number') return value;
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid size in S3 policy: ${value}`);
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+function list(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// "products/*" matches with wildcards; a plain folder also matches its subfolders
+function folderMatches(pattern, folder) {
+  if (pattern.includes('*')) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(folder);
+  }
+  const normalized = pattern.replace(/^\/+|\/+$/g, '');
+  return folder === normalized || folder.startsWith(`${normalized}/`);
+}
+
+function folderOf(resource) {
+  if (resource.asset_folder !== undefined) return resource.asset_folder;
+  if (resource.folder !== undefined) return resource.folder;
+  const slash = (resource.public_id || '').lastIndexOf('/');
+  return slash === -1 ? '' : resource.public_id.slice(0, slash);
+}
+
+// S3 tag keys and values allow letters, numbers, spaces and + - = . _ : / @
+function tagText(value, maxLength) {
+  return String(value).replace(/[^\p{L}\p{N} +\-=._:/@]/gu, '_').slice(0, maxLength);
+}
+
+// Storage class, encryption, cache headers and ACL for each uploaded object,
+// decided by rules that match on the Cloudinary resource. Every matching rule
+// applies in order, so later rules override earlier ones field by field.
+class ObjectPolicy {
+  constructor(config = {}, source = null) {
+    this.source = source;
+    this.defaults = config.defaults || {};
+    this.rules = config.rules || [];
+
+    ObjectPolicy.validateSettings(this.defaults, 'defaults');
+    this.rules.forEach((rule, index) => {
+      const label = rule.name || `rule ${index + 1}`;
+      const unknown = Object.keys(rule.match || {}).filter(name => !CONDITIONS.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown condition(s) in S3 policy ${label}: ${unknown.join(', ')}`);
+      }
+      const { name, match, ...settings } = rule;
+      ObjectPolicy.validateSettings(settings, label);
+    });
+  }
+
+  // Reads the rules file given on the command line or in S3_POLICY_FILE. With
+  // neither, objects get the bucket defaults.
+  static load(filePath = S3_POLICY_FILE) {
+    if (!filePath) return new ObjectPolicy();
+
+    const resolved = path.resolve(filePath);
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read S3 policy file ${resolved}: ${error.message}`);
+    }
+    return new ObjectPolicy(config, resolved);
+  }
+
+  static validateSettings(settings, label) {
+    const unknown = Object.keys(settings).filter(name => !SETTINGS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown setting(s) in S3 policy ${label}: ${unknown.join(', ')}`);
+    }
+    if (settings.storageClass && !STORAGE_CLASSES.includes(settings.storageClass)) {
+      throw new Error(`Unknown storage class in S3 policy ${label}: ${settings.storageClass}`);
+    }
+    if (settings.acl && !ACLS.includes(settings.acl)) {
+      throw new Error(`Unknown ACL in S3 policy ${label}: ${settings.acl}`);
+    }
+    if (settings.serverSideEncryption && !ENCRYPTIONS.includes(settings.serverSideEncryption)) {
+      throw new Error(`Unknown encryption in S3 policy ${label}: ${settings.serverSideEncryption}`);
+    }
+  }
+
+  matches(match = {}, resource, now = Date.now()) {
+    const format = (resource.format || path.extname(resource.public_id || '').slice(1)).toLowerCase();
+    const bytes = resource.bytes || 0;
+    const created = resource.created_at ? new Date(resource.created_at).getTime() : null;
+
+    if (match.resourceType && !list(match.resourceType).includes(resource.resource_type || 'image')) return false;
+    if (match.type && !list(match.type).includes(resource.type || 'upload')) return false;
+    if (match.format && !list(match.format).map(value => value.toLowerCase()).includes(format)) return false;
+    if (match.folder && !list(match.folder).some(pattern => folderMatches(pattern, folderOf(resource)))) return false;
+    if (match.minBytes !== undefined && bytes < parseSize(match.minBytes)) return false;
+    if (match.maxBytes !== undefined && bytes > parseSize(match.maxBytes)) return false;
+    if (match.olderThanDays !== undefined && (created === null || now - created < match.olderThanDays * DAY_MS)) return false;
+    if (match.newerThanDays !== undefined && (created === null || now - created > match.newerThanDays * DAY_MS)) return false;
+    return true;
+  }
+
+  // Merged settings for one resource, with the names of the rules that matched
+  resolve(resource) {
+    const settings = { ...this.defaults };
+    const matched = [];
+
+    this.rules.forEach((rule, index) => {
+      if (!this.matches(rule.match, resource)) return;
+      const { name, match, ...ruleSettings } = rule;
+      Object.assign(settings, ruleSettings);
+      matched.push(name || `rule ${index + 1}`);
+    });
+
+    return { settings, matched };
+  }
+
+  // Adds the resolved settings to s3.upload() parameters
+  apply(params, resource) {
+    const { settings } = this.resolve(resource);
+    const filename = path.basename(resource.public_id || '') + (resource.format ? `.${resource.format}` : '');
+
+    if (settings.storageClass) params.StorageClass = settings.storageClass;
+    if (settings.sseKmsKeyId) {
+      // A KMS key wins over an AES256 default inherited from an earlier rule
+      params.ServerSideEncryption = (settings.serverSideEncryption || '').startsWith('aws:kms') ? settings.serverSideEncryption : 'aws:kms';
+      params.SSEKMSKeyId = settings.sseKmsKeyId;
+    } else if (settings.serverSideEncryption) {
+      params.ServerSideEncryption = settings.serverSideEncryption;
+    }
+    if (settings.cacheControl) params.CacheControl = settings.cacheControl;
+    if (settings.contentDisposition) {
+      params.ContentDisposition = settings.contentDisposition.replace('{filename}', filename.replace(/"/g, ''));
+    }
+    if (settings.acl) params.ACL = settings.acl;
+
+    return params;
+  }
+
+  describe() {
+    if (!this.source) return 'bucket defaults';
+    return `${this.source} (${this.rules.length} rule(s))`;
+  }
+
+  // Cloudinary tags and context as S3 object tags: "tag:<name>" and
+  // "context:<key>". `reserved` tags (e.g. cloudinary-access) come first; what
+  // does not fit in S3's 10-tag limit is reported back as dropped.
+  static objectTags(resource, reserved = []) {
+    const tags = [...reserved];
+    const candidates = [];
+
+    Object.entries(contextValues(resource.context)).forEach(([key, value]) => {
+      candidates.push({ Key: tagText(`context:${key}`, 128), Value: tagText(value, 256) });
+    });
+    (resource.tags || []).forEach(tag => {
+      candidates.push({ Key: tagText(`tag:${tag}`, 128), Value: '' });
+    });
+
+    const dropped = [];
+    candidates.forEach(tag => {
+      if (tags.some(existing => existing.Key === tag.Key)) return;
+      if (tags.length < MAX_OBJECT_TAGS) {
+        tags.push(tag);
+      } else {
+        dropped.push(tag.Key);
+      }
+    });
+
+    return { tags, dropped };
+  }
+}
+
+module.exports = ObjectPolicy;
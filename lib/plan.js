@@ -0,0 +1,81 @@
+const fs = require('fs');
+
+// Assumed transfer speed for the duration estimate (same as analyze.js)
+const PLAN_THROUGHPUT_MBPS = parseFloat(process.env.PLAN_THROUGHPUT_MBPS) || 10;
+
+const ACTIONS = ['copy', 'skip', 'overwrite'];
+
+// What a migration run would do, asset by asset. Written by --dry-run/--plan
+// and executed unchanged by --apply.
+class MigrationPlan {
+  constructor(data = {}) {
+    this.createdAt = data.created_at || new Date().toISOString();
+    this.settings = data.settings || {};
+    this.entries = data.entries || [];
+  }
+
+  static load(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(data.entries)) {
+      throw new Error(`${filePath} is not a migration plan (no entries)`);
+    }
+    return new MigrationPlan(data);
+  }
+
+  add(resource, action, s3Key, options = {}) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown plan action: ${action}`);
+    }
+
+    this.entries.push({
+      action,
+      delete: options.delete === true,
+      reason: options.reason || null,
+      s3_key: s3Key,
+      resource
+    });
+  }
+
+  summary() {
+    const counts = { copy: 0, skip: 0, overwrite: 0, delete: 0 };
+    let transferBytes = 0;
+    let totalBytes = 0;
+
+    this.entries.forEach(entry => {
+      const bytes = entry.resource.bytes || 0;
+      counts[entry.action]++;
+      if (entry.delete) counts.delete++;
+      totalBytes += bytes;
+      if (entry.action !== 'skip') transferBytes += bytes;
+    });
+
+    const estimatedSeconds = Math.ceil(transferBytes / (PLAN_THROUGHPUT_MBPS * 1024 * 1024));
+
+    return {
+      assets: this.entries.length,
+      would_copy: counts.copy,
+      would_skip: counts.skip,
+      would_overwrite: counts.overwrite,
+      would_delete: counts.delete,
+      total_bytes: totalBytes,
+      transfer_bytes: transferBytes,
+      estimated_seconds: estimatedSeconds,
+      assumed_throughput_mbps: PLAN_THROUGHPUT_MBPS
+    };
+  }
+
+  save(filePath) {
+    const data = {
+      created_at: this.createdAt,
+      settings: this.settings,
+      summary: this.summary(),
+      entries: this.entries
+    };
+
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  }
+}
+
+MigrationPlan.ACTIONS = ACTIONS;
+
+module.exports = MigrationPlan;
@@ -0,0 +1,276 @@
+const { EventEmitter } = require('events');
+const { Transform } = require('stream');
+const { UsageError } = require('./cli');
+const { stopRequested, sleepUnlessStopped } = require('./shutdown');
+
+// Assets in flight: the limiter starts at MIGRATION_CONCURRENCY and moves
+// between MIN_CONCURRENCY and MAX_CONCURRENCY (by default it only backs off)
+const MIGRATION_CONCURRENCY = parseInt(process.env.MIGRATION_CONCURRENCY) || 10;
+const MIN_CONCURRENCY = parseInt(process.env.MIN_CONCURRENCY) || 1;
+const MAX_CONCURRENCY = parseInt(process.env.MAX_CONCURRENCY) || MIGRATION_CONCURRENCY;
+const ADAPTIVE_CONCURRENCY = process.env.ADAPTIVE_CONCURRENCY !== 'false';
+// Share of failed calls (server errors, timeouts, network) that makes it back off
+const ADAPT_ERROR_RATE = parseFloat(process.env.ADAPT_ERROR_RATE) || 0.1;
+// Calls slower than this multiple of the best recent median make it back off
+const ADAPT_LATENCY_FACTOR = parseFloat(process.env.ADAPT_LATENCY_FACTOR) || 2;
+// Admin API calls left for everything else using the account (the website,
+// other jobs) before the migration pauses until the hourly quota resets
+const ADMIN_API_RESERVE_PERCENT = process.env.ADMIN_API_RESERVE_PERCENT !== undefined && process.env.ADMIN_API_RESERVE_PERCENT !== ''
+  ? parseFloat(process.env.ADMIN_API_RESERVE_PERCENT)
+  : 5;
+
+// Calls observed before the concurrency is reconsidered
+const MIN_WINDOW = 10;
+// Rate limits answered by calls that were already in flight don't halve it again
+const RATE_LIMIT_COOLDOWN_MS = 10 * 1000;
+const PRESSURE_CATEGORIES = ['server', 'timeout', 'network'];
+const RATE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// Every Cloudinary and S3 call made through withRetry reports here
+const outcomes = new EventEmitter();
+
+// { ms, category } of one attempt; category is null when it succeeded. For
+// transfers ms is the time to first byte.
+function observe(outcome) {
+  outcomes.emit('outcome', outcome);
+}
+
+// "10mb" or "10mb/s" -> bytes per second; plain numbers are bytes. Empty is no limit.
+function parseRate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?(?:\/s)?$/i.exec(String(value).trim());
+  if (!match || parseFloat(match[1]) <= 0) {
+    throw new UsageError(`Invalid ${name}: ${value} (expected a rate like 500kb or 20mb, per second)`);
+  }
+  return Math.round(parseFloat(match[1]) * RATE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+function formatRate(bytesPerSecond) {
+  return `${(bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s`;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// A task queue whose concurrency follows how Cloudinary and S3 cope:
+// halved when they rate-limit, cut when errors or latency climb, and raised
+// one step at a time while they keep up.
+class AdaptiveLimiter {
+  constructor(options = {}) {
+    this.min = options.min || MIN_CONCURRENCY;
+    this.max = Math.max(options.max || MAX_CONCURRENCY, this.min);
+    this.concurrency = Math.min(Math.max(options.concurrency || MIGRATION_CONCURRENCY, this.min), this.max);
+    this.adaptive = options.adaptive !== undefined ? options.adaptive : ADAPTIVE_CONCURRENCY;
+    this.active = 0;
+    this.queue = [];
+    this.window = [];
+    this.baselineMs = null;
+    this.rateLimitedAt = 0;
+    this.listening = false;
+    this.onOutcome = outcome => this.record(outcome);
+  }
+
+  run(task) {
+    this.listen();
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  record({ ms, category }) {
+    // Rate limits are answered right away; waiting for a full window only earns more of them
+    if (category === 'rate_limit') {
+      if (Date.now() - this.rateLimitedAt < RATE_LIMIT_COOLDOWN_MS) return;
+      this.rateLimitedAt = Date.now();
+      this.window = [];
+      this.adjust(Math.floor(this.concurrency / 2), 'rate limited');
+      return;
+    }
+
+    this.window.push({ ms, category });
+    if (this.window.length < Math.max(MIN_WINDOW, this.concurrency * 2)) return;
+
+    const window = this.window;
+    this.window = [];
+    const errors = window.filter(entry => PRESSURE_CATEGORIES.includes(entry.category)).length;
+    const latencies = window.filter(entry => !entry.category).map(entry => entry.ms);
+    const typical = latencies.length > 0 ? median(latencies) : null;
+
+    if (errors / window.length > ADAPT_ERROR_RATE) {
+      this.adjust(Math.floor(this.concurrency * 0.75), `${errors} of ${window.length} calls failed`);
+    } else if (typical !== null && this.baselineMs !== null && typical > this.baselineMs * ADAPT_LATENCY_FACTOR) {
+      this.adjust(this.concurrency - 1, `median call time ${typical} ms, was ${Math.round(this.baselineMs)} ms`);
+    } else if (this.concurrency < this.max && this.queue.length > 0) {
+      this.adjust(this.concurrency + 1, 'calls keep up');
+    }
+
+    // The best median seen, drifting up slowly as the mix of assets changes
+    if (typical !== null) {
+      this.baselineMs = this.baselineMs === null ? typical : Math.min(typical, this.baselineMs * 1.1);
+    }
+  }
+
+  adjust(target, reason) {
+    const concurrency = Math.min(Math.max(target, this.min), this.max);
+    if (concurrency === this.concurrency) return;
+
+    console.log(`🎚️  Concurrency ${this.concurrency} → ${concurrency} (${reason})`);
+    this.concurrency = concurrency;
+    this.next();
+  }
+
+  // Follows call outcomes from the first task until close()
+  listen() {
+    if (!this.adaptive || this.listening) return;
+    this.listening = true;
+    outcomes.on('outcome', this.onOutcome);
+  }
+
+  // Called when the run is done, so a finished limiter stops reacting to the
+  // calls of whatever runs next in the process
+  close() {
+    if (!this.listening) return;
+    this.listening = false;
+    outcomes.removeListener('outcome', this.onOutcome);
+  }
+
+  describe() {
+    return this.adaptive
+      ? `${this.concurrency} (adaptive, ${this.min}-${this.max})`
+      : `${this.concurrency}`;
+  }
+}
+
+// Cloudinary's hourly Admin API quota, from the X-FeatureRateLimit headers the
+// SDK copies onto each result. Calls pause before the reserve is reached.
+class ApiQuota {
+  constructor(options = {}) {
+    this.reservePercent = options.reservePercent !== undefined ? options.reservePercent : ADMIN_API_RESERVE_PERCENT;
+    this.features = {};
+  }
+
+  // Search has a quota of its own
+  static featureFor(method) {
+    return method === 'search' || method === 'visual_search' ? 'search' : 'admin';
+  }
+
+  update(feature, result) {
+    if (!result || !Number.isFinite(result.rate_limit_remaining)) return;
+    const resetAt = result.rate_limit_reset_at instanceof Date ? result.rate_limit_reset_at.getTime() : NaN;
+
+    this.features[feature] = {
+      allowed: result.rate_limit_allowed,
+      remaining: result.rate_limit_remaining,
+      resetAt: Number.isNaN(resetAt) ? null : resetAt
+    };
+  }
+
+  // Waits until the feature may be called, and counts the call against it
+  async acquire(feature) {
+    const quota = this.features[feature];
+    if (!quota) return;
+
+    if (quota.resetAt && Date.now() >= quota.resetAt) {
+      delete this.features[feature];
+      return;
+    }
+
+    const reserve = Math.ceil((quota.allowed || 0) * this.reservePercent / 100);
+    if (quota.remaining > reserve || !quota.resetAt) {
+      quota.remaining--;
+      return;
+    }
+
+    if (!quota.pausing) {
+      quota.pausing = true;
+      console.log(`⏳ Cloudinary ${feature} API quota nearly used (${quota.remaining} of ${quota.allowed} left), pausing until ${new Date(quota.resetAt).toISOString()}`);
+    }
+    await sleepUnlessStopped(quota.resetAt - Date.now());
+    if (stopRequested()) {
+      const error = new Error(`Stopped while waiting for the Cloudinary ${feature} API quota`);
+      error.interrupted = true;
+      throw error;
+    }
+    return this.acquire(feature);
+  }
+
+  snapshot() {
+    const snapshot = {};
+    Object.entries(this.features).forEach(([feature, quota]) => {
+      snapshot[feature] = {
+        allowed: quota.allowed,
+        remaining: quota.remaining,
+        reset_at: quota.resetAt ? new Date(quota.resetAt).toISOString() : null
+      };
+    });
+    return snapshot;
+  }
+}
+
+// Token bucket shared by every transfer in one direction. A chunk may overdraw
+// it; the stream then waits until the debt is paid back at the configured rate.
+class Bandwidth {
+  constructor(bytesPerSecond) {
+    this.rate = bytesPerSecond;
+    this.available = bytesPerSecond;
+    this.updatedAt = Date.now();
+  }
+
+  static forRate(bytesPerSecond) {
+    return bytesPerSecond ? new Bandwidth(bytesPerSecond) : null;
+  }
+
+  // Milliseconds to wait before `bytes` may go through
+  reserve(bytes) {
+    const now = Date.now();
+    // At most one second of unused bandwidth is saved up for a burst
+    this.available = Math.min(this.rate, this.available + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+    this.available -= bytes;
+    return this.available < 0 ? Math.ceil(-this.available / this.rate * 1000) : 0;
+  }
+
+  // A stream that lets data through at no more than the rate
+  throttle() {
+    const bandwidth = this;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        const wait = bandwidth.reserve(chunk.length);
+        if (wait === 0) return callback(null, chunk);
+        setTimeout(() => callback(null, chunk), wait);
+      }
+    });
+  }
+
+  describe() {
+    return formatRate(this.rate);
+  }
+}
+
+const adminApiQuota = new ApiQuota();
+
+module.exports = {
+  AdaptiveLimiter,
+  ApiQuota,
+  Bandwidth,
+  adminApiQuota,
+  observe,
+  parseRate
+};
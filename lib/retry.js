@@ -0,0 +1,159 @@
+// Retry policy shared by every call to Cloudinary and S3: exponential backoff
+// with jitter for transient errors, immediate failure for fatal ones.
+const { stopRequested, sleepUnlessStopped } = require('./shutdown');
+const { observe } = require('./rate-limiter');
+
+const RETRY_ATTEMPTS = parseInt(process.env.RETRY_ATTEMPTS) || 4;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS) || 1000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS) || 60000;
+// Cloudinary quotas are hourly, so a rate-limit wait may legitimately be long
+const RATE_LIMIT_MAX_WAIT_MS = parseInt(process.env.RATE_LIMIT_MAX_WAIT_MS) || 60 * 60 * 1000;
+
+const NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH',
+  'ENETUNREACH', 'NetworkingError', 'ERR_STREAM_PREMATURE_CLOSE', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'RequestTimeout', 'TimeoutError', 'ERR_CANCELED'];
+const THROTTLE_CODES = ['SlowDown', 'Throttling', 'ThrottlingException', 'TooManyRequests', 'RequestLimitExceeded'];
+
+// Reset time reported by the last successful Cloudinary Admin API call. The
+// SDK drops response headers on errors, so this is what a 420 waits for.
+let rateLimitResetAt = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Cloudinary SDK errors are plain objects ({ error: { message, http_code } })
+function errorMessage(error) {
+  if (!error) return 'Unknown error';
+  if (error.message) return error.message;
+  if (error.error && error.error.message) return error.error.message;
+  return String(error);
+}
+
+function errorStatus(error) {
+  if (!error) return null;
+  if (error.response && error.response.status) return error.response.status;
+  if (error.error && error.error.http_code) return error.error.http_code;
+  return error.http_code || error.statusCode || null;
+}
+
+function parseRetryAfter(headers = {}) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const reset = headers['x-featureratelimit-reset'];
+  if (reset) {
+    const date = Date.parse(reset);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+function rememberRateLimit(result) {
+  if (result && result.rate_limit_reset_at instanceof Date && !Number.isNaN(result.rate_limit_reset_at.getTime())) {
+    rateLimitResetAt = result.rate_limit_reset_at;
+  }
+}
+
+function classifyError(error) {
+  const status = errorStatus(error);
+  const code = error && (error.code || error.name);
+
+  if (status === 420 || status === 429 || THROTTLE_CODES.includes(code)) {
+    let retryAfterMs = error && error.response ? parseRetryAfter(error.response.headers) : null;
+    if (retryAfterMs === null && status === 420 && rateLimitResetAt) {
+      retryAfterMs = Math.max(0, rateLimitResetAt.getTime() - Date.now());
+    }
+    return { category: 'rate_limit', retryable: true, status, retryAfterMs };
+  }
+  if (TIMEOUT_CODES.includes(code)) {
+    return { category: 'timeout', retryable: true, status, retryAfterMs: null };
+  }
+  if (NETWORK_CODES.includes(code)) {
+    return { category: 'network', retryable: true, status, retryAfterMs: null };
+  }
+  if (status >= 500 || (error && error.retryable === true && !error.category)) {
+    return { category: 'server', retryable: true, status, retryAfterMs: null };
+  }
+  if (status === 404 || code === 'NotFound' || code === 'NoSuchKey') {
+    return { category: 'not_found', retryable: false, status, retryAfterMs: null };
+  }
+  if (status === 401 || status === 403 || code === 'AccessDenied' || code === 'InvalidAccessKeyId' || code === 'SignatureDoesNotMatch') {
+    return { category: 'auth', retryable: false, status, retryAfterMs: null };
+  }
+  if (status >= 400) {
+    return { category: 'client', retryable: false, status, retryAfterMs: null };
+  }
+  if (error && error.category) {
+    // Errors raised by this tool may carry their own category
+    return { category: error.category, retryable: error.retryable === true, status, retryAfterMs: null };
+  }
+  return { category: 'unknown', retryable: false, status, retryAfterMs: null };
+}
+
+function backoffDelay(attempt) {
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+  // Equal jitter: half fixed, half random, so retries from parallel tasks spread out
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Runs operation(attempt) until it succeeds, fails with a fatal error or runs
+// out of attempts. The error that is finally thrown carries `attempts` and
+// `category` so failure records can report them, and `interrupted` when a
+// shutdown cut the retries short. An operation whose duration grows with the
+// asset's size (a transfer) returns its time to first byte as `latencyMs`.
+async function withRetry(operation, options = {}) {
+  const attempts = options.attempts || RETRY_ATTEMPTS;
+  const label = options.label || 'Operation';
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    try {
+      const result = await operation(attempt);
+      rememberRateLimit(result);
+      // Every attempt tells the adaptive concurrency how the services cope.
+      // Large assets take long however healthy they are, so transfers report
+      // their time to first byte.
+      const ms = result && Number.isFinite(result.latencyMs) ? result.latencyMs : Date.now() - startedAt;
+      observe({ ms, category: null });
+      return result;
+    } catch (error) {
+      const info = classifyError(error);
+      observe({ ms: Date.now() - startedAt, category: info.category });
+      const failure = error instanceof Object ? error : new Error(String(error));
+      failure.attempts = attempt;
+      failure.category = info.category;
+
+      if (!info.retryable || attempt >= attempts) {
+        throw failure;
+      }
+
+      const delay = info.retryAfterMs !== null
+        ? Math.min(info.retryAfterMs + backoffDelay(1), RATE_LIMIT_MAX_WAIT_MS)
+        : backoffDelay(attempt);
+      console.warn(`🔁 ${label} failed (${info.category}: ${errorMessage(error)}). Retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${attempts})`);
+      // A shutdown does not wait out the backoff
+      await sleepUnlessStopped(delay);
+      if (stopRequested()) {
+        failure.interrupted = true;
+        throw failure;
+      }
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  classifyError,
+  errorMessage,
+  rememberRateLimit,
+  sleep
+};
@@ -0,0 +1,75 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+
+// Exit codes of a process ended by a signal, as shells report them
+const EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+const SIGNALS = Object.keys(EXIT_CODES);
+
+const events = new EventEmitter();
+// Partial files of transfers in progress, removed when exiting without draining
+const tempFiles = new Set();
+let stopSignal = null;
+
+// The signal that asked the run to stop, or null while it should carry on
+function stopRequested() {
+  return stopSignal;
+}
+
+function trackTempFile(filePath) {
+  tempFiles.add(filePath);
+  return () => tempFiles.delete(filePath);
+}
+
+function removeTempFiles() {
+  tempFiles.forEach(filePath => {
+    try {
+      fs.rmSync(filePath, { force: true });
+    } catch (error) {
+      console.warn(`⚠️  Could not remove ${filePath}: ${error.message}`);
+    }
+  });
+  tempFiles.clear();
+}
+
+// Waits like setTimeout, but returns early once a stop is requested
+function sleepUnlessStopped(ms) {
+  if (stopSignal) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      events.removeListener('stop', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    events.once('stop', done);
+  });
+}
+
+// The first SIGINT/SIGTERM requests a stop and calls onStop(signal), so the
+// run can drain; a second one removes temp files and exits right away.
+// Returns a function that removes the handlers again.
+function handleSignals(onStop) {
+  const handler = signal => {
+    if (stopSignal) {
+      console.log(`\n🛑 ${signal} received while stopping: exiting without waiting for assets in flight`);
+      removeTempFiles();
+      process.exit(EXIT_CODES[signal]);
+    }
+    stopSignal = signal;
+    events.emit('stop', signal);
+    onStop(signal);
+  };
+
+  SIGNALS.forEach(signal => process.on(signal, handler));
+  return () => SIGNALS.forEach(signal => process.removeListener(signal, handler));
+}
+
+module.exports = {
+  handleSignals,
+  stopRequested,
+  sleepUnlessStopped,
+  trackTempFile,
+  removeTempFiles,
+  EXIT_CODES
+};
@@ -0,0 +1,177 @@
+const http = require('http');
+
+// Off unless a port is given (--status-port / STATUS_PORT); 0 picks a free port
+const STATUS_PORT = process.env.STATUS_PORT !== undefined && process.env.STATUS_PORT !== ''
+  ? parseInt(process.env.STATUS_PORT)
+  : null;
+// Loopback only by default: the status includes asset names and error messages
+const STATUS_HOST = process.env.STATUS_HOST || '127.0.0.1';
+// Throughput is averaged over this window, so the ETA follows the current pace
+const THROUGHPUT_WINDOW_MS = 60 * 1000;
+const SAMPLE_INTERVAL_MS = 5 * 1000;
+
+function labelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(values) {
+  const entries = Object.entries(values);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${labelValue(value)}"`).join(',')}}`;
+}
+
+// Local HTTP endpoint for watching a long migration without its console:
+// Prometheus metrics on /metrics and a JSON snapshot on /status. `source` is
+// the migrator; its statusSnapshot() is read on every request.
+class StatusServer {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.port = options.port !== undefined && options.port !== null ? options.port : STATUS_PORT;
+    this.host = options.host || STATUS_HOST;
+    this.samples = [];
+    this.server = null;
+    this.timer = null;
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    this.sample();
+    this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL_MS);
+    // Never keeps a finished migration alive
+    this.timer.unref();
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        console.log(`📊 Status: http://${this.host}:${this.port}/status, metrics: http://${this.host}:${this.port}/metrics`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+      } else if (pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(req.method === 'HEAD' ? undefined : this.metrics());
+      } else if (pathname === '/status' || pathname === '/') {
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(req.method === 'HEAD' ? undefined : JSON.stringify(this.status(), null, 2));
+      } else if (pathname === '/health') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found: try /status or /metrics');
+      }
+    } catch (error) {
+      console.warn(`⚠️  Status endpoint error: ${error.message}`);
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end();
+    }
+  }
+
+  sample() {
+    const { counters } = this.source.statusSnapshot();
+    const now = Date.now();
+    this.samples.push({ at: now, processed: counters.migrated + counters.skipped + counters.failed, bytes: counters.bytes_migrated });
+    this.samples = this.samples.filter(sample => now - sample.at <= THROUGHPUT_WINDOW_MS);
+  }
+
+  // Assets and bytes per second over the recent window
+  throughput(snapshot) {
+    const { counters } = snapshot;
+    const now = Date.now();
+    const oldest = this.samples[0];
+    const seconds = oldest ? (now - oldest.at) / 1000 : 0;
+    if (seconds < 1) return { assets_per_second: 0, bytes_per_second: 0 };
+
+    return {
+      assets_per_second: Math.max(0, counters.migrated + counters.skipped + counters.failed - oldest.processed) / seconds,
+      bytes_per_second: Math.max(0, counters.bytes_migrated - oldest.bytes) / seconds
+    };
+  }
+
+  status() {
+    const snapshot = this.source.statusSnapshot();
+    const throughput = this.throughput(snapshot);
+    const { processed, expected } = snapshot.progress;
+    const remaining = expected !== null ? Math.max(0, expected - processed) : null;
+
+    return {
+      ...snapshot,
+      uptime_seconds: Math.round((Date.now() - this.startedAt) / 1000),
+      throughput: {
+        assets_per_second: Number(throughput.assets_per_second.toFixed(3)),
+        bytes_per_second: Math.round(throughput.bytes_per_second)
+      },
+      eta_seconds: remaining !== null && throughput.assets_per_second > 0
+        ? Math.round(remaining / throughput.assets_per_second)
+        : null
+    };
+  }
+
+  metrics() {
+    const status = this.status();
+    const lines = [];
+    const metric = (name, type, help, values) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      values.forEach(([labelSet, value]) => lines.push(`${name}${labels(labelSet)} ${value}`));
+    };
+    const { counters } = status;
+
+    metric('cld2s3_run_info', 'gauge', 'The running migration.', [[{
+      run_id: status.run_id || '',
+      command: status.command,
+      destination: status.destination,
+      dry_run: status.dry_run
+    }, 1]]);
+    metric('cld2s3_start_time_seconds', 'gauge', 'When the status endpoint started, in Unix time.', [[{}, Math.floor(this.startedAt / 1000)]]);
+    metric('cld2s3_assets_total', 'counter', 'Assets handled in this run, by result.', [
+      [{ result: 'migrated' }, counters.migrated],
+      [{ result: 'skipped' }, counters.skipped],
+      [{ result: 'failed' }, counters.failed],
+      [{ result: 'deleted' }, counters.deleted],
+      [{ result: 'delete_failed' }, counters.delete_failed]
+    ]);
+    metric('cld2s3_derived_assets_total', 'counter', 'Derived renditions handled in this run, by result.', [
+      [{ result: 'migrated' }, counters.derived_migrated],
+      [{ result: 'skipped' }, counters.derived_skipped],
+      [{ result: 'failed' }, counters.derived_failed]
+    ]);
+    metric('cld2s3_bytes_migrated_total', 'counter', 'Bytes copied to the destination in this run.', [[{}, counters.bytes_migrated]]);
+    metric('cld2s3_failures_total', 'counter', 'Failed migrations and deletions since this process started, by error category.',
+      Object.entries(status.failures_by_category).map(([category, count]) => [{ category }, count]));
+    metric('cld2s3_in_flight_tasks', 'gauge', 'Assets being transferred right now.', [[{}, status.in_flight]]);
+    metric('cld2s3_concurrency', 'gauge', 'Assets allowed in flight, as adapted to errors and latency.', [[{}, status.concurrency]]);
+    metric('cld2s3_cloudinary_api_remaining', 'gauge', 'Cloudinary API calls left in the hourly quota, by feature.',
+      Object.entries(status.cloudinary_quota).map(([feature, quota]) => [{ feature }, quota.remaining]));
+    metric('cld2s3_assets_per_second', 'gauge', 'Assets handled per second over the last minute.', [[{}, status.throughput.assets_per_second]]);
+    metric('cld2s3_bytes_per_second', 'gauge', 'Bytes copied per second over the last minute.', [[{}, status.throughput.bytes_per_second]]);
+    metric('cld2s3_processed_assets', 'gauge', 'Assets handled so far in the current listing.', [[{}, status.progress.processed]]);
+    if (status.progress.expected !== null) {
+      metric('cld2s3_expected_assets', 'gauge', 'Assets Cloudinary reported for the current listing (total_count).', [[{}, status.progress.expected]]);
+    }
+    if (status.eta_seconds !== null) {
+      metric('cld2s3_eta_seconds', 'gauge', 'Estimated seconds until the current listing is done.', [[{}, status.eta_seconds]]);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = StatusServer;
+module.exports.STATUS_PORT = STATUS_PORT;
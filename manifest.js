@@ -0,0 +1,121 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const MappingManifest = require('./lib/mapping-manifest');
+const { parseArgs, runCommand, UsageError } = require('./lib/cli');
+
+const MANIFEST_DIR = process.env.MANIFEST_DIR || path.join(__dirname, 'manifests');
+
+// Merges the mapping manifests written by migration runs into one
+// authoritative Cloudinary-to-S3 mapping for the account
+class ManifestMerger {
+  constructor(options = {}) {
+    this.inputs = options.inputs && options.inputs.length > 0 ? options.inputs : [MANIFEST_DIR];
+    this.output = options.output || path.join(__dirname, 'cloudinary-s3-mapping.csv');
+  }
+
+  // Manifest files given directly or found in the given directories, oldest first
+  collectFiles() {
+    const files = [];
+
+    this.inputs.forEach(input => {
+      if (!fs.existsSync(input)) {
+        console.warn(`⚠️  ${input} does not exist, skipping`);
+        return;
+      }
+      if (!fs.statSync(input).isDirectory()) {
+        files.push(input);
+        return;
+      }
+      fs.readdirSync(input)
+        .filter(name => /\.(csv|jsonl)$/i.test(name))
+        .forEach(name => files.push(path.join(input, name)));
+    });
+
+    // The merged file may live next to the inputs; never read it back in
+    return files
+      .filter(file => path.resolve(file) !== path.resolve(this.output))
+      .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+  }
+
+  async merge() {
+    const files = this.collectFiles();
+    if (files.length === 0) {
+      console.log('ℹ️  No mapping manifests found. Run a migration first, or pass manifest files.');
+      return null;
+    }
+
+    console.log(`🗂️  Merging ${files.length} mapping manifest(s)...`);
+    files.forEach(file => console.log(`  - ${file}`));
+
+    const result = await MappingManifest.merge(files, this.output);
+
+    console.log('\n🗂️  Merge completed!');
+    console.log('====================');
+    console.log(`Rows read: ${result.read}`);
+    console.log(`Assets in merged manifest: ${result.written}`);
+    console.log(`Merged manifest: ${this.output}`);
+    return result;
+  }
+}
+
+const CLI_OPTIONS = [
+  {
+    flag: '--output',
+    key: 'output',
+    parse: value => {
+      if (!/\.(csv|jsonl)$/i.test(value)) throw new UsageError(`--output must be a .csv or .jsonl file, got "${value}"`);
+      return value;
+    }
+  },
+  { key: 'inputs', positional: true }
+];
+
+// CLI interface
+async function runMerge(args = process.argv.slice(2)) {
+  const { help, ...options } = parseArgs(args, CLI_OPTIONS);
+  if (help) {
+    printHelp();
+    return;
+  }
+
+  const missing = (options.inputs || []).filter(input => !fs.existsSync(input));
+  if (missing.length > 0) {
+    throw new UsageError(`No such file or directory: ${missing.join(', ')}`);
+  }
+
+  const merger = new ManifestMerger(options);
+  await merger.merge();
+}
+
+function printHelp() {
+  console.log(`
+Mapping Manifest Merge Tool
+
+Every migration run writes a mapping manifest (manifests/mapping-<run id>.csv
+and/or .jsonl) with the new location of each asset. This tool merges any number
+of them into one file with a single, most recent row per asset.
+
+Usage: node manifest.js [options] [manifest files or directories...]
+
+Options:
+  --output <file>       Merged manifest, .csv or .jsonl (default: cloudinary-s3-mapping.csv)
+  --help                Show this help message
+
+With no inputs, every manifest in MANIFEST_DIR (default: manifests/) is merged.
+
+Examples:
+  # Merge all runs into one CSV for application teams
+  node manifest.js
+
+  # Merge manifests copied from several machines into JSON Lines
+  node manifest.js ec2-a/manifests ec2-b/manifests --output account-mapping.jsonl
+  `);
+}
+
+if (require.main === module) {
+  runCommand(() => runMerge(), 'Merge failed');
+}
+
+module.exports = ManifestMerger;
+module.exports.main = runMerge;
@@ -1,51 +1,65 @@
-// Slack webhook integration
-
-async function notifySlack(message) {
-  const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL || 'YOUR_WEBHOOK_URL_HERE';
-  if (!SLACK_WEBHOOK_URL || SLACK_WEBHOOK_URL === 'YOUR_WEBHOOK_URL_HERE') {
-    console.warn('Slack webhook URL not set. Skipping Slack notification.');
-    return;
-  }
-  try {
-    await axios.post(SLACK_WEBHOOK_URL, {
-      text: message,
-    });
-    console.log('📣 Slack notification sent.');
-  } catch (error) {
-    console.error('Failed to send Slack notification:', error.message);
-  }
-}
 require('dotenv').config();
-const cloudinary = require('cloudinary').v2;
-const AWS = require('aws-sdk');
+const cloudinary = require('./lib/cloudinary-client');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream/promises');
+const MigrationCheckpoint = require('./lib/checkpoint');
+const MigrationLedger = require('./lib/ledger');
+const S3KeyMapper = require('./lib/key-mapping');
+const { withRetry, errorMessage } = require('./lib/retry');
+const { HashingStream, expectedMd5 } = require('./lib/integrity');
+const { deleteResources } = require('./lib/cloudinary-delete');
+const { downloadUrl, isRestricted } = require('./lib/cloudinary-download');
+const { listDerived, listNamedTransformations, renditionUrl } = require('./lib/derived');
+const DerivedManifest = require('./lib/derived-manifest');
+const MappingManifest = require('./lib/mapping-manifest');
+const MigrationPlan = require('./lib/plan');
+const ObjectPolicy = require('./lib/object-policy');
+const { buildObjectMetadata, sidecarDocument } = require('./lib/metadata');
+const { createDestination, requiredEnvVars: destinationEnvVars, DESTINATION_TYPES } = require('./lib/destination');
+const { parseArgs, requireEnv, runCommand } = require('./lib/cli');
+const StatusServer = require('./lib/status-server');
+const { Notifier } = require('./lib/notifier');
+const { handleSignals, trackTempFile, EXIT_CODES } = require('./lib/shutdown');
+const { AdaptiveLimiter, Bandwidth, adminApiQuota, parseRate } = require('./lib/rate-limiter');
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// Configure AWS S3
-const s3 = new AWS.S3({
-  region: process.env.AWS_REGION,
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-});
-
-const BUCKET_NAME = process.env.AWS_S3_BUCKET_NAME;
 const MAX_RESULTS = parseInt(process.env.MAX_RESULTS_PER_BATCH) || 100;
+// Either may be 'all' to discover and migrate every type combination in one run
 const RESOURCE_TYPE = process.env.RESOURCE_TYPE || 'image';
 const DELIVERY_TYPE = process.env.DELIVERY_TYPE || 'upload';
-
-// Create downloads directory if it doesn't exist
+// Combinations probed by 'all' mode; combinations Cloudinary rejects (e.g. video/fetch) are skipped
+const ALL_RESOURCE_TYPES = ['image', 'video', 'raw'];
+const ALL_DELIVERY_TYPES = (process.env.ALL_DELIVERY_TYPES || 'upload,private,authenticated,fetch')
+  .split(',').map(type => type.trim()).filter(Boolean);
+// 'stream' pipes downloads straight into S3, 'spool' goes through downloads/ first
+const TRANSFER_MODE = process.env.TRANSFER_MODE || 'stream';
+// Write <key>.cloudinary.json with the full Cloudinary record next to each asset
+const WRITE_SIDECAR = process.env.WRITE_SIDECAR === 'true';
+// Streamed uploads learn the SHA-256 only at the end. When set, it is added to
+// the object's metadata by copying the object onto itself (up to 5 GB, S3's
+// limit), which writes every object twice. Spooled uploads always carry it.
+const SHA256_METADATA = process.env.SHA256_METADATA === 'true';
+const MAX_COPY_BYTES = 5 * 1024 ** 3;
+// Archived objects cannot be the source of a copy until they are restored
+const ARCHIVE_STORAGE_CLASSES = ['GLACIER', 'DEEP_ARCHIVE'];
+// Multipart upload buffers at most partSize * queueSize bytes per asset
+const S3_PART_SIZE = (parseInt(process.env.S3_PART_SIZE_MB) || 8) * 1024 * 1024;
+const S3_QUEUE_SIZE = parseInt(process.env.S3_QUEUE_SIZE) || 2;
+// Caps in bytes per second (e.g. 20mb) shared by all transfers; unset for none
+const MAX_DOWNLOAD_RATE = process.env.MAX_DOWNLOAD_RATE || null;
+const MAX_UPLOAD_RATE = process.env.MAX_UPLOAD_RATE || null;
+
+// Fields of each listed asset. With `fields` the Admin API returns only what is
+// named, and without it etag (needed for the MD5 check) is not guaranteed.
+const LISTING_FIELDS = 'public_id,format,resource_type,type,version,bytes,etag,width,height,created_at,' +
+  'folder,asset_folder,secure_url,url,tags,context,metadata';
+
+// Errors kept for the status endpoint's recent_errors
+const RECENT_ERRORS = 50;
+
+// Spool directory, only used when TRANSFER_MODE=spool
 const downloadsDir = path.join(__dirname, 'downloads');
-if (!fs.existsSync(downloadsDir)) {
-  fs.mkdirSync(downloadsDir, { recursive: true });
-}
 
 class CloudinaryToS3Migrator {
   constructor(options = {}) {
@@ -58,45 +72,333 @@ class CloudinaryToS3Migrator {
     this.failedAssets = [];
     this.skippedAssets = [];
     this.deleteFailedAssets = [];
+    this.derivedMigratedCount = 0;
+    this.derivedSkippedCount = 0;
+    this.derivedFailedCount = 0;
+    this.derivedFailedAssets = [];
+    this.bytesMigrated = 0;
+    // Live state for the status endpoint (--status-port / STATUS_PORT)
+    this.statusPort = options.statusPort !== undefined ? options.statusPort : StatusServer.STATUS_PORT;
+    this.statusServer = null;
+    // Slack, webhook and email notifications, digested instead of per batch
+    this.notifier = options.notifier || new Notifier();
+    this.inFlight = 0;
+    this.recentErrors = [];
+    this.position = null;
+    this.currentType = null;
+    this.expectedTotal = null;
+    this.countersIncludeTypes = false;
+    // Set by the first SIGINT/SIGTERM: no new pages or assets, in-flight ones finish
+    this.stopSignal = null;
+    this.interruptedCount = 0;
     this.skipExisting = options.skipExisting !== false; // Default to true
     this.forceOverwrite = options.forceOverwrite === true; // Default to false
-    this.deleteFromCloudinary = options.deleteFromCloudinary !== false; // Default to true
+    // Default to false: use purge.js to delete only verified assets after a grace period
+    this.deleteFromCloudinary = options.deleteFromCloudinary === true;
+    this.resume = options.resume === true; // Default to false
+    this.resourceType = options.resourceType || RESOURCE_TYPE;
+    this.deliveryType = options.deliveryType || DELIVERY_TYPE;
+    // Per resource/delivery type counters when running in 'all' mode
+    this.typeSummaries = [];
+    // Renditions to copy next to each original: its derived resources and/or
+    // named transformations ('all' or a list of names)
+    this.includeDerived = options.includeDerived === true;
+    this.namedTransformations = options.namedTransformations || null;
+    this.namedTransformationList = null;
+    this.derivedManifest = options.derivedManifest || new DerivedManifest();
+    // Per-run record of where each asset now lives, for application teams
+    this.mappingManifest = options.mappingManifest || new MappingManifest({ format: options.manifestFormat });
+    this.runId = null;
+    this.checkpoint = null;
+    this.ledger = options.ledger || new MigrationLedger();
+    // AWS S3, an S3-compatible endpoint or a local directory (--destination / DESTINATION)
+    this.destination = options.destination || createDestination({ type: options.destinationType, dir: options.destinationDir });
+    this.keyMapper = options.keyMapper || new S3KeyMapper({ defaultBaseUrl: this.destination.baseUrl() });
+    // Storage class, encryption, cache headers and ACL per object (--policy / S3_POLICY_FILE)
+    this.objectPolicy = options.objectPolicy || ObjectPolicy.load(options.policyFile);
+    this.transferMode = options.transferMode || TRANSFER_MODE;
+    // One queue for every batch, so the concurrency it learned carries over
+    this.limiter = options.limiter || new AdaptiveLimiter();
+    this.downloadBandwidth = Bandwidth.forRate(options.maxDownloadRate || parseRate(MAX_DOWNLOAD_RATE, 'MAX_DOWNLOAD_RATE'));
+    this.uploadBandwidth = Bandwidth.forRate(options.maxUploadRate || parseRate(MAX_UPLOAD_RATE, 'MAX_UPLOAD_RATE'));
+    this.sidecar = options.sidecar !== undefined ? options.sidecar === true : WRITE_SIDECAR;
+    // --plan implies --dry-run: classify every asset without touching S3 or Cloudinary
+    this.planFile = options.planFile || null;
+    this.dryRun = options.dryRun === true || Boolean(this.planFile);
+    this.plan = this.dryRun ? new MigrationPlan({
+      settings: {
+        skip_existing: this.skipExisting,
+        force_overwrite: this.forceOverwrite,
+        delete_from_cloudinary: this.deleteFromCloudinary,
+        key_layout: this.keyMapper.describe()
+      }
+    }) : null;
   }
 
   async migrate() {
+    await this.trackRun('migrate', () => this.runMigration());
+  }
+
+  async runMigration() {
     console.log('🚀 Starting Cloudinary to S3 migration...');
-    console.log(`Resource type: ${RESOURCE_TYPE}`);
-    console.log(`Delivery type: ${DELIVERY_TYPE}`);
+    console.log(`Resource type: ${this.resourceType}`);
+    console.log(`Delivery type: ${this.deliveryType}`);
     console.log(`Batch size: ${MAX_RESULTS}`);
     console.log(`Skip existing files: ${this.skipExisting ? 'Yes' : 'No'}`);
     console.log(`Force overwrite: ${this.forceOverwrite ? 'Yes' : 'No'}`);
     console.log(`Delete from Cloudinary: ${this.deleteFromCloudinary ? 'Yes' : 'No'}`);
+    console.log(`Destination: ${this.destination.describe()}`);
+    console.log(`S3 key layout: ${this.keyMapper.describe()}`);
+    console.log(`Transfer mode: ${this.transferMode}`);
+    console.log(`Concurrency: ${this.limiter.describe()}`);
+    console.log(`Bandwidth: ${this.describeBandwidth()}`);
+    console.log(`S3 object policy: ${this.objectPolicy.describe()}`);
+    console.log(`Sidecar JSON: ${this.sidecar ? 'Yes' : 'No'}`);
+    console.log(`Notifications: ${this.notifier.describe()}`);
+    if (this.dryRun) {
+      console.log('🧪 Dry run: nothing will be uploaded or deleted');
+    }
     console.log('---');
 
+    if (this.resourceType !== 'all' && this.deliveryType !== 'all') {
+      await this.migrateType(this.resourceType, this.deliveryType);
+      this.printSummary();
+      return;
+    }
+
+    // Tracks which combinations are done; each combination also has its own checkpoint
+    const allCheckpoint = new MigrationCheckpoint({
+      command: 'migrate',
+      resource_type: this.resourceType,
+      type: this.deliveryType
+    });
+    const saved = allCheckpoint.load();
+    let combinations;
+
+    if (this.resume && saved && !saved.completed) {
+      combinations = saved.types;
+      this.typeSummaries = saved.type_summaries || [];
+      console.log(`♻️  Resuming all-types run: ${this.typeSummaries.length} of ${combinations.length} type combination(s) already done`);
+    } else {
+      combinations = await this.discoverTypes();
+    }
+    console.log(`Found assets in ${combinations.length} type combination(s): ${combinations.map(c => `${c.resource_type}/${c.type}`).join(', ') || 'none'}`);
+    console.log('---');
+
+    for (const { resource_type, type } of combinations) {
+      if (this.typeSummaries.some(done => done.resource_type === resource_type && done.type === type)) {
+        continue;
+      }
+
+      console.log(`📂 Migrating ${resource_type}/${type}`);
+      this.restoreCounters();
+      const finished = await this.migrateType(resource_type, type);
+
+      if (!finished) {
+        // Stop here; --resume picks up this combination and the remaining ones
+        this.typeSummaries.push({ resource_type, type, run_id: this.runId, incomplete: true, ...this.getCounters() });
+        break;
+      }
+
+      this.typeSummaries.push({ resource_type, type, run_id: this.runId, ...this.getCounters() });
+      if (!this.dryRun) {
+        allCheckpoint.save({
+          types: combinations,
+          type_summaries: this.typeSummaries,
+          completed: this.typeSummaries.length === combinations.length
+        });
+      }
+    }
+
+    const totals = {};
+    this.typeSummaries.forEach(summary => {
+      Object.keys(this.getCounters()).forEach(name => {
+        totals[name] = (totals[name] || 0) + summary[name];
+      });
+    });
+    this.restoreCounters(totals);
+    this.countersIncludeTypes = true;
+
+    this.printSummary();
+  }
+
+  // Runs `work` with the status endpoint (when a status port is set) and the
+  // notifier watching it; the notifier reports how the run ended. A first
+  // SIGINT/SIGTERM lets `work` wind down, so its summary is still written.
+  async trackRun(command, work) {
+    this.command = command;
+    this.startedAt = new Date().toISOString();
+    const removeSignalHandlers = handleSignals(signal => this.requestStop(signal));
+
+    try {
+      if (this.statusPort !== null && this.statusPort !== undefined) {
+        this.statusServer = new StatusServer(this, { port: this.statusPort });
+        await this.statusServer.start();
+      }
+      await this.notifier.start(this);
+
+      const result = await work();
+      await this.notifier.finish();
+      if (this.stopSignal) {
+        console.log(`🛑 Stopped after ${this.stopSignal}. Re-run with --resume to continue.`);
+        process.exitCode = EXIT_CODES[this.stopSignal];
+      }
+      return result;
+    } catch (error) {
+      await this.notifier.finish(error);
+      throw error;
+    } finally {
+      removeSignalHandlers();
+      this.limiter.close();
+      if (this.statusServer) await this.statusServer.stop();
+      this.statusServer = null;
+    }
+  }
+
+  requestStop(signal) {
+    this.stopSignal = signal;
+    console.log(`\n🛑 ${signal} received: stopping after the ${this.inFlight} asset(s) in flight. Send it again to exit immediately.`);
+  }
+
+  // A batch stopped part-way is not checkpointed, so --resume lists it again
+  // and skips what this run already copied. Returns whether the batch is done.
+  batchFinished(listed, started, interruptedBefore) {
+    const left = listed - started + this.interruptedCount - interruptedBefore;
+    if (left === 0) return true;
+
+    this.totalCount -= left;
+    console.log(`⏸️  Stopping with ${left} asset(s) of this batch left for --resume`);
+    return false;
+  }
+
+  // Counters of the whole run: while migrating all types, the finished type
+  // combinations plus the current one
+  runTotals() {
+    const totals = this.getCounters();
+    if (this.countersIncludeTypes) return totals;
+
+    this.typeSummaries.forEach(summary => {
+      Object.keys(totals).forEach(name => {
+        totals[name] += summary[name] || 0;
+      });
+    });
+    return totals;
+  }
+
+  // What the status endpoint reports
+  statusSnapshot() {
+    const failuresByCategory = {};
+    this.failedAssets.concat(this.deleteFailedAssets).forEach(asset => {
+      failuresByCategory[asset.category || 'unknown'] = (failuresByCategory[asset.category || 'unknown'] || 0) + 1;
+    });
+
+    return {
+      command: this.command || 'migrate',
+      run_id: this.runId,
+      stopping: this.stopSignal,
+      started_at: this.startedAt || null,
+      dry_run: this.dryRun,
+      destination: this.destination.describe(),
+      current_type: this.currentType,
+      position: this.position,
+      progress: {
+        processed: this.migratedCount + this.skippedCount + this.failedCount,
+        expected: this.expectedTotal
+      },
+      counters: this.runTotals(),
+      in_flight: this.inFlight,
+      concurrency: this.limiter.concurrency,
+      cloudinary_quota: adminApiQuota.snapshot(),
+      failures_by_category: failuresByCategory,
+      completed_types: this.typeSummaries.map(({ resource_type, type, incomplete }) => ({ resource_type, type, incomplete: Boolean(incomplete) })),
+      recent_errors: this.recentErrors
+    };
+  }
+
+  // Keeps the last errors for the status endpoint; `resource` is null for listing errors
+  noteError(resource, message, category) {
+    this.recentErrors.push({
+      at: new Date().toISOString(),
+      public_id: resource ? resource.public_id : null,
+      resource_type: resource ? resource.resource_type : null,
+      type: resource ? resource.type : null,
+      category: category || 'unknown',
+      error: message
+    });
+    if (this.recentErrors.length > RECENT_ERRORS) this.recentErrors.shift();
+  }
+
+  // Lists one asset of every candidate resource/delivery type combination and
+  // keeps those that have any. Types set explicitly are not probed.
+  async discoverTypes() {
+    const resourceTypes = this.resourceType === 'all' ? ALL_RESOURCE_TYPES : [this.resourceType];
+    const deliveryTypes = this.deliveryType === 'all' ? ALL_DELIVERY_TYPES : [this.deliveryType];
+    const combinations = [];
+
+    console.log(`🔍 Discovering asset types (${resourceTypes.join(', ')} × ${deliveryTypes.join(', ')})...`);
+
+    for (const resource_type of resourceTypes) {
+      for (const type of deliveryTypes) {
+        try {
+          const result = await withRetry(() => cloudinary.api.resources({
+            resource_type,
+            type,
+            max_results: 1
+          }), { label: `Probing ${resource_type}/${type}` });
+
+          if (result.resources && result.resources.length > 0) {
+            combinations.push({ resource_type, type });
+          }
+        } catch (error) {
+          // Unsupported combinations (e.g. video/fetch) are rejected with a 400
+          if (error.category === 'client' || error.category === 'not_found') continue;
+          throw error;
+        }
+      }
+    }
+
+    return combinations;
+  }
+
+  // Migrates every asset of one resource/delivery type, checkpointing after each
+  // batch. Returns false when listing stopped early.
+  async migrateType(resourceType, deliveryType) {
+    this.checkpoint = new MigrationCheckpoint({
+      command: 'migrate',
+      resource_type: resourceType,
+      type: deliveryType
+    });
+    const saved = this.startFromCheckpoint();
+    this.currentType = { resource_type: resourceType, type: deliveryType };
+    this.expectedTotal = null;
+
     // Fetch total asset count from Cloudinary
     let totalCloudinaryCount = 1500000;
     try {
       const countResult = await cloudinary.api.resources({
-        resource_type: RESOURCE_TYPE,
-        type: DELIVERY_TYPE,
+        resource_type: resourceType,
+        type: deliveryType,
         max_results: 1
       });
       totalCloudinaryCount = countResult.total_count || 0;
+      this.expectedTotal = totalCloudinaryCount;
       console.log(`Total assets in Cloudinary: ${totalCloudinaryCount}`);
     } catch (err) {
       console.warn('Could not fetch total Cloudinary asset count:', err.message);
     }
 
-    let nextCursor = null;
+    let nextCursor = saved ? saved.cursor : null;
     let hasMore = true;
 
     while (hasMore) {
+      if (this.stopSignal) return false;
+
       try {
         const options = {
-          resource_type: RESOURCE_TYPE,
-          type: DELIVERY_TYPE,
+          resource_type: resourceType,
+          type: deliveryType,
           max_results: MAX_RESULTS,
-          fields: 'public_id,format,resource_type,type,bytes,width,height,created_at,folder,tags,context'
+          fields: LISTING_FIELDS
         };
 
         if (nextCursor) {
@@ -105,15 +407,14 @@ class CloudinaryToS3Migrator {
 
         console.log(`📥 Fetching resources from Cloudinary (cursor: ${nextCursor || 'start'})...`);
         
-        const result = await cloudinary.api.resources(options);
+        const result = await withRetry(() => cloudinary.api.resources(options), {
+          label: 'Fetching resources'
+        });
         
         console.log(`Found ${result.resources.length} resources in this batch`);
         this.totalCount += result.resources.length;
 
-        await this.processBatch(result.resources);
-
-        // Send Slack notification after each batch, including total Cloudinary count
-        await notifySlack(`Batch completed: ${result.resources.length} assets processed.\nMigrated: ${this.migratedCount}, Skipped: ${this.skippedCount}, Failed: ${this.failedCount}, Deleted: ${this.deletedCount}, Delete Failed: ${this.deleteFailedCount}, Total processed: ${this.totalCount} / ${totalCloudinaryCount}`);
+        if (!(await this.processBatch(result.resources))) return false;
 
         if (result.next_cursor) {
           nextCursor = result.next_cursor;
@@ -121,68 +422,307 @@ class CloudinaryToS3Migrator {
           hasMore = false;
         }
 
+        // Persist position so an interrupted run can continue with --resume
+        this.saveCheckpoint({ cursor: nextCursor }, !hasMore);
+
         // Progress update
         console.log(`Progress: ${this.migratedCount} migrated, ${this.skippedCount} skipped, ${this.failedCount} failed, ${this.deletedCount} deleted, ${this.deleteFailedCount} delete failed, ${this.totalCount} / ${totalCloudinaryCount} total processed`);
         console.log('---');
 
       } catch (error) {
-        console.error('❌ Error fetching resources from Cloudinary:', error);
-        break;
+        if (error.interrupted) return false;
+        console.error(`❌ Error fetching resources from Cloudinary after ${error.attempts} attempt(s) (${error.category}):`, errorMessage(error));
+        console.error('Progress is checkpointed. Re-run with --resume to continue from this batch.');
+        this.noteError(null, `Listing failed: ${errorMessage(error)}`, error.category);
+        return false;
       }
     }
 
-    this.printSummary();
+    return true;
   }
 
+  // Loads the checkpoint for this.checkpoint's scope. Returns the saved state
+  // when resuming, or null when the run starts from the beginning.
+  startFromCheckpoint() {
+    const saved = this.checkpoint.load();
+    const unfinished = saved && !saved.completed;
+
+    if (this.resume && unfinished) {
+      this.runId = saved.run_id;
+      this.restoreCounters(saved.counters);
+      console.log(`♻️  Resuming run ${this.runId} (checkpoint saved ${saved.updated_at})`);
+      console.log(`Restored progress: ${this.migratedCount} migrated, ${this.skippedCount} skipped, ${this.failedCount} failed, ${this.totalCount} total processed`);
+      console.log('---');
+      return saved;
+    }
+
+    if (this.resume) {
+      console.log('ℹ️  No unfinished checkpoint found, starting from the beginning');
+    } else if (unfinished) {
+      console.warn(`⚠️  Found unfinished run ${saved.run_id} in ${this.checkpoint.filePath}. Use --resume to continue it; starting a new run.`);
+    }
+
+    this.runId = MigrationCheckpoint.createRunId();
+    console.log(`Run id: ${this.runId}`);
+    return null;
+  }
+
+  saveCheckpoint(position, completed = false) {
+    this.position = position;
+    // A dry run must not move the cursor a real --resume would start from
+    if (!this.checkpoint || this.dryRun) return;
+
+    try {
+      this.checkpoint.save({
+        run_id: this.runId,
+        ...position,
+        counters: this.getCounters(),
+        completed
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not save checkpoint: ${error.message}`);
+    }
+  }
+
+  getCounters() {
+    return {
+      migrated: this.migratedCount,
+      skipped: this.skippedCount,
+      failed: this.failedCount,
+      deleted: this.deletedCount,
+      delete_failed: this.deleteFailedCount,
+      derived_migrated: this.derivedMigratedCount,
+      derived_skipped: this.derivedSkippedCount,
+      derived_failed: this.derivedFailedCount,
+      bytes_migrated: this.bytesMigrated,
+      total: this.totalCount
+    };
+  }
+
+  restoreCounters(counters = {}) {
+    this.migratedCount = counters.migrated || 0;
+    this.skippedCount = counters.skipped || 0;
+    this.failedCount = counters.failed || 0;
+    this.deletedCount = counters.deleted || 0;
+    this.deleteFailedCount = counters.delete_failed || 0;
+    this.derivedMigratedCount = counters.derived_migrated || 0;
+    this.derivedSkippedCount = counters.derived_skipped || 0;
+    this.derivedFailedCount = counters.derived_failed || 0;
+    this.bytesMigrated = counters.bytes_migrated || 0;
+    this.totalCount = counters.total || 0;
+  }
+
+  // Returns false when a shutdown left assets of the batch unprocessed
   async processBatch(resources) {
-  // Use p-limit for controlled concurrency
-  const pLimit = (await import('p-limit')).default;
-    const concurrency = parseInt(process.env.MIGRATION_CONCURRENCY) || 10; // Default to 10
-    const limit = pLimit(concurrency);
+    await this.ledger.load();
+    await this.derivedManifest.load();
 
-    const tasks = resources.map(resource =>
-      limit(async () => {
-        try {
-          const result = await this.migrateAsset(resource);
-          
-          // Delete from Cloudinary if migration or skip was successful
-          if (this.deleteFromCloudinary && (result === 'migrated' || result === 'skipped')) {
-            try {
-              await this.deleteFromCloudinaryAsset(resource);
-              this.deletedCount++;
-              console.log(`🗑️  Deleted from Cloudinary: ${resource.public_id}`);
-            } catch (deleteError) {
-              console.error(`❌ Failed to delete from Cloudinary ${resource.public_id}:`, deleteError.message);
-              this.deleteFailedCount++;
-              this.deleteFailedAssets.push({
-                public_id: resource.public_id,
-                error: deleteError.message
-              });
-            }
-          }
+    if (this.dryRun) {
+      return this.planBatch(resources);
+    }
 
-          if (result === 'migrated') this.migratedCount++;
-          else if (result === 'skipped') this.skippedCount++;
-        } catch (error) {
-          console.error(`❌ Failed to migrate ${resource.public_id}:`, error.message);
-          this.failedCount++;
-          this.failedAssets.push({
+    const interruptedBefore = this.interruptedCount;
+    let started = 0;
+
+    const tasks = resources.map(resource => this.limiter.run(() => {
+      // Queued assets are not started once a stop is requested
+      if (this.stopSignal) return null;
+      started++;
+      return this.processAsset(resource);
+    }));
+    await Promise.all(tasks);
+    return this.batchFinished(resources.length, started, interruptedBefore);
+  }
+
+  // Migrates one asset and updates counters. `planned` is the plan entry when
+  // running --apply; it fixes the target key, the action and the delete decision.
+  async processAsset(resource, planned = null) {
+    this.inFlight++;
+    try {
+      this.ledger.record(resource, 'listed');
+      const result = await this.migrateAsset(resource, planned ? {
+        s3Key: planned.s3_key,
+        // 'copy' was planned for a missing object, so don't clobber one that appeared since
+        checkExisting: planned.action === 'copy'
+      } : {});
+      const shouldDelete = planned ? planned.delete : this.deleteFromCloudinary;
+
+      // Deleting the original also deletes its derivatives, so copy them first
+      let renditionsCopied = true;
+      if (this.includeDerived || this.namedTransformations) {
+        renditionsCopied = await this.migrateRenditions(resource);
+        // Stays on the row until a later run copies them, so purge.js keeps the original
+        if (renditionsCopied) {
+          this.ledger.record(resource, null, { renditions: 'copied' });
+        } else {
+          this.ledger.recordError(resource, 'renditions not copied', { renditions: 'failed' });
+        }
+      }
+      
+      // Delete right away only when asked to, and only what this run uploaded and
+      // checksummed; a skip just means some object with the same key exists
+      if (shouldDelete && result === 'migrated' && renditionsCopied) {
+        try {
+          await this.deleteFromCloudinaryAsset(resource);
+          this.ledger.record(resource, 'deleted');
+          this.deletedCount++;
+          console.log(`🗑️  Deleted from Cloudinary: ${resource.public_id}`);
+        } catch (deleteError) {
+          const message = errorMessage(deleteError);
+          console.error(`❌ Failed to delete from Cloudinary ${resource.public_id}:`, message);
+          this.deleteFailedCount++;
+          this.noteError(resource, `delete failed: ${message}`, deleteError.category);
+          this.ledger.recordError(resource, `delete failed: ${message}`, {
+            attempts: deleteError.attempts,
+            category: deleteError.category
+          });
+          this.deleteFailedAssets.push({
             public_id: resource.public_id,
-            error: error.message
+            resource_type: resource.resource_type,
+            type: resource.type,
+            error: message,
+            attempts: deleteError.attempts || 1,
+            category: deleteError.category || 'unknown'
           });
         }
-      })
-    );
-    await Promise.all(tasks);
+      }
+
+      if (result === 'migrated') this.migratedCount++;
+      else if (result === 'skipped') this.skippedCount++;
+    } catch (error) {
+      const message = errorMessage(error);
+      if (error.interrupted) {
+        // Not a failure: the shutdown cut its retries short
+        console.log(`⏸️  Interrupted: ${resource.public_id} (${message})`);
+        this.interruptedCount++;
+        return;
+      }
+      console.error(`❌ Failed to migrate ${resource.public_id}:`, message);
+      this.failedCount++;
+      this.noteError(resource, message, error.category);
+      this.ledger.recordError(resource, message, {
+        attempts: error.attempts,
+        category: error.category
+      });
+      this.failedAssets.push({
+        public_id: resource.public_id,
+        resource_type: resource.resource_type,
+        type: resource.type,
+        error: message,
+        attempts: error.attempts || 1,
+        category: error.category || 'unknown'
+      });
+    } finally {
+      this.inFlight--;
+    }
+  }
+
+  // Dry run: classify each asset as copy / skip / overwrite (+ delete) without side effects
+  async planBatch(resources) {
+    let started = 0;
+
+    await Promise.all(resources.map(resource => this.limiter.run(async () => {
+      if (this.stopSignal) return;
+      started++;
+      try {
+        const s3Key = this.keyMapper.keyFor(resource);
+        const row = this.ledger.get(resource);
+        const verified = row && row.state === 'verified' && row.s3_key === s3Key && !row.last_error;
+        const exists = verified || await this.checkS3FileExists(s3Key);
+
+        let action = 'copy';
+        if (exists) {
+          action = this.skipExisting && !this.forceOverwrite ? 'skip' : 'overwrite';
+        }
+
+        this.plan.add(resource, action, s3Key, {
+          delete: this.deleteFromCloudinary && action !== 'skip',
+          reason: exists ? (verified ? 'verified_in_ledger' : 'already_exists') : null
+        });
+      } catch (error) {
+        console.error(`❌ Could not plan ${resource.public_id}:`, errorMessage(error));
+        this.failedCount++;
+        this.failedAssets.push({ public_id: resource.public_id, error: errorMessage(error), attempts: 1, category: 'plan' });
+      }
+    })));
+    return this.batchFinished(resources.length, started, this.interruptedCount);
+  }
+
+  // Executes a plan written by --plan exactly as reviewed
+  async applyPlan(planFile) {
+    await this.trackRun('apply', () => this.runPlan(planFile));
+  }
+
+  async runPlan(planFile) {
+    const plan = MigrationPlan.load(planFile);
+    const summary = plan.summary();
+
+    console.log(`🚀 Applying migration plan ${planFile} (created ${plan.createdAt})`);
+    console.log(`Would copy: ${summary.would_copy}, would overwrite: ${summary.would_overwrite}, would skip: ${summary.would_skip}, would delete: ${summary.would_delete}`);
+    console.log('---');
+
+    this.checkpoint = new MigrationCheckpoint({
+      command: 'apply',
+      plan: path.resolve(planFile),
+      created_at: plan.createdAt
+    });
+    const saved = this.startFromCheckpoint();
+    this.expectedTotal = plan.entries.length;
+
+    await this.ledger.load();
+    await this.derivedManifest.load();
+
+    for (let start = saved ? saved.next_entry || 0 : 0; start < plan.entries.length; start += MAX_RESULTS) {
+      if (this.stopSignal) break;
+      const entries = plan.entries.slice(start, start + MAX_RESULTS);
+      this.totalCount += entries.length;
+      const interruptedBefore = this.interruptedCount;
+      let started = 0;
+
+      await Promise.all(entries.map(entry => this.limiter.run(async () => {
+        if (this.stopSignal) return;
+        started++;
+        if (entry.action === 'skip') {
+          this.skippedCount++;
+          this.skippedAssets.push({ public_id: entry.resource.public_id, s3_key: entry.s3_key, reason: 'planned_skip' });
+          return;
+        }
+        await this.processAsset(entry.resource, entry);
+      })));
+      if (!this.batchFinished(entries.length, started, interruptedBefore)) break;
+
+      const next = start + entries.length;
+      this.saveCheckpoint({ next_entry: next }, next >= plan.entries.length);
+      console.log(`Progress: ${this.migratedCount} migrated, ${this.skippedCount} skipped, ${this.failedCount} failed, ${this.deletedCount} deleted, ${next} / ${plan.entries.length} plan entries`);
+      console.log('---');
+    }
+
+    this.printSummary();
   }
 
-  async migrateAsset(resource) {
+  async migrateAsset(resource, options = {}) {
     const { public_id, format } = resource;
-    // Always store under 'cloudinary/' and preserve full folder structure
-    const s3Key = `cloudinary/${public_id}.${format}`;
+    const s3Key = options.s3Key || this.keyMapper.keyFor(resource);
+    const checkExisting = options.checkExisting !== undefined
+      ? options.checkExisting
+      : this.skipExisting && !this.forceOverwrite;
 
     // Check if file already exists in S3 (unless force overwrite is enabled)
-    if (this.skipExisting && !this.forceOverwrite) {
+    if (checkExisting) {
+      // A verified ledger row for the same key is proof enough, no need to ask S3
+      const row = this.ledger.get(resource);
+      if (row && row.state === 'verified' && row.s3_key === s3Key && !row.last_error) {
+        console.log(`⏭️  Skipping verified: ${public_id}.${format}`);
+        this.skippedAssets.push({
+          public_id,
+          s3_key: s3Key,
+          reason: 'verified_in_ledger'
+        });
+        if (this.sidecar) await this.ensureSidecar(resource, s3Key);
+        this.recordMapping(resource, s3Key, { md5: row.md5, sha256: row.sha256, status: 'skipped' });
+        return 'skipped';
+      }
+
       const exists = await this.checkS3FileExists(s3Key);
       if (exists) {
         console.log(`⏭️  Skipping existing: ${public_id}.${format}`);
@@ -191,47 +731,246 @@ class CloudinaryToS3Migrator {
           s3_key: s3Key,
           reason: 'already_exists'
         });
+        if (!row || MigrationLedger.STATES.indexOf(row.state) < MigrationLedger.STATES.indexOf('uploaded')) {
+          this.ledger.record(resource, 'uploaded', { s3_key: s3Key, skipped_existing: true });
+        }
+        // Checksums are only known if an earlier run uploaded this same key
+        const known = row && row.s3_key === s3Key ? row : {};
+        if (this.sidecar) await this.ensureSidecar(resource, s3Key);
+        this.recordMapping(resource, s3Key, { md5: known.md5, sha256: known.sha256, status: 'skipped' });
         return 'skipped';
       }
     }
 
     console.log(`📤 Migrating: ${public_id}.${format}`);
 
-    // Use the direct secure_url from the resource object
-    const cloudinaryUrl = resource.secure_url || resource.url;
-    if (!cloudinaryUrl) {
+    if (!downloadUrl(resource)) {
       throw new Error(`No downloadable URL found for ${public_id}`);
     }
 
-    // Download from Cloudinary
-    const localFilePath = await this.downloadAsset(cloudinaryUrl, public_id, format);
+    // A half-consumed stream cannot be replayed, so retry the transfer as a whole.
+    // The URL is built per attempt so a signed one never expires between retries.
+    const transferred = await withRetry(
+      () => this.transfer(downloadUrl(resource), resource, s3Key),
+      { label: `Migrating ${public_id}` }
+    );
+    const { checksum } = transferred;
+    const uploadResult = await this.addChecksumMetadata(transferred.uploadResult, resource, s3Key, checksum);
+    this.bytesMigrated += checksum.bytes;
+    this.ledger.record(resource, 'downloaded', { downloaded_bytes: checksum.bytes });
+    this.ledger.record(resource, 'uploaded', {
+      s3_key: s3Key,
+      s3_etag: uploadResult && uploadResult.ETag ? uploadResult.ETag.replace(/"/g, '') : null,
+      md5: checksum.md5,
+      sha256: checksum.sha256,
+      skipped_existing: false
+    });
+    if (this.sidecar) await this.writeSidecar(resource, s3Key);
+    this.recordMapping(resource, s3Key, {
+      bytes: checksum.bytes,
+      md5: checksum.md5,
+      sha256: checksum.sha256,
+      status: 'migrated'
+    });
 
-    // Upload to S3
-    await this.uploadToS3(localFilePath, resource, s3Key);
+    console.log(`✅ Migrated: ${public_id}.${format}`);
+    return 'migrated';
+  }
 
-    // Clean up local file
-    fs.unlinkSync(localFilePath);
+  // Writes the sidecar of an asset that was already in S3, unless it has one
+  async ensureSidecar(resource, s3Key) {
+    if (await this.checkS3FileExists(this.keyMapper.sidecarKeyFor(resource))) return;
+    await this.writeSidecar(resource, s3Key);
+  }
 
-    console.log(`✅ Migrated: ${public_id}.${format}`);
+  // The asset's complete Cloudinary record (tags, context, structured metadata,
+  // colors, faces, version, access mode, ...) as JSON next to the object. The
+  // listing lacks colors and faces, so this costs one Admin API call per asset.
+  async writeSidecar(resource, s3Key) {
+    const sidecarKey = this.keyMapper.sidecarKeyFor(resource);
+    const isImage = (resource.resource_type || 'image') === 'image';
+    const details = await withRetry(() => cloudinary.api.resource(resource.public_id, {
+      resource_type: resource.resource_type || 'image',
+      type: resource.type || 'upload',
+      colors: isImage,
+      faces: isImage,
+      media_metadata: true
+    }), { label: `Fetching details of ${resource.public_id}` });
+
+    const { truncated } = this.objectMetadata(resource);
+    const document = sidecarDocument({ ...resource, ...details }, {
+      s3_key: s3Key,
+      sidecar_key: sidecarKey,
+      run_id: this.runId,
+      truncated
+    });
+
+    // Same storage class and encryption as the asset; the download name is the asset's own
+    const params = this.objectPolicy.apply({
+      Key: sidecarKey,
+      Body: JSON.stringify(document, null, 2),
+      ContentType: 'application/json'
+    }, resource);
+    delete params.ContentDisposition;
+
+    await withRetry(() => this.destination.putObject(params), {
+      label: `Writing sidecar of ${resource.public_id}`
+    });
+  }
+
+  // Adds the asset's new location to this run's mapping manifest
+  recordMapping(resource, s3Key, fields = {}) {
+    if (this.dryRun) return;
+
+    try {
+      this.mappingManifest.record({
+        public_id: resource.public_id,
+        resource_type: resource.resource_type,
+        type: resource.type,
+        format: resource.format,
+        bytes: resource.bytes,
+        width: resource.width,
+        height: resource.height,
+        secure_url: resource.secure_url || cloudinary.url(resource.public_id, {
+          resource_type: resource.resource_type,
+          type: resource.type,
+          format: resource.format,
+          version: resource.version,
+          secure: true
+        }),
+        s3_key: s3Key,
+        s3_url: this.keyMapper.urlFor(s3Key),
+        ...fields
+      }, this.runId);
+    } catch (error) {
+      console.warn(`⚠️  Could not write mapping manifest: ${error.message}`);
+    }
+  }
+
+  // Copies the asset's derived resources and named transformation renditions
+  // and records them in the derived manifest. Returns false if any of them
+  // could not be copied, so the original is kept in Cloudinary.
+  async migrateRenditions(resource) {
+    const renditions = [];
+    let copied = true;
+
+    try {
+      if (this.includeDerived) {
+        renditions.push(...await listDerived(resource));
+      }
+      // Named transformations only apply to images and videos
+      if (this.namedTransformations && resource.resource_type !== 'raw') {
+        (await this.getNamedTransformations()).forEach(transformation => {
+          if (!renditions.some(rendition => rendition.transformation === transformation)) {
+            renditions.push({ transformation, format: resource.format });
+          }
+        });
+      }
+    } catch (error) {
+      this.recordRenditionFailure(resource, null, error);
+      return false;
+    }
+
+    for (const rendition of renditions) {
+      try {
+        const result = await this.migrateRendition(resource, rendition);
+        if (result === 'migrated') this.derivedMigratedCount++;
+        else this.derivedSkippedCount++;
+      } catch (error) {
+        this.recordRenditionFailure(resource, rendition.transformation, error);
+        copied = false;
+      }
+    }
+
+    return copied;
+  }
+
+  async migrateRendition(resource, rendition) {
+    const { transformation } = rendition;
+    const format = rendition.format || resource.format;
+    const s3Key = this.keyMapper.derivedKeyFor(resource, transformation, format);
+
+    if (this.skipExisting && !this.forceOverwrite) {
+      const entry = this.derivedManifest.get(resource, transformation);
+      if ((entry && entry.s3_key === s3Key) || await this.checkS3FileExists(s3Key)) {
+        return 'skipped';
+      }
+    }
+
+    // The rendition has its own size and format; the original's etag and dimensions don't apply
+    const rendered = {
+      ...resource,
+      format,
+      bytes: rendition.bytes,
+      etag: null,
+      width: null,
+      height: null,
+      transformation
+    };
+    // Authenticated derivatives need a signed URL, which the listing does not return
+    const url = rendition.secure_url && resource.type !== 'authenticated'
+      ? rendition.secure_url
+      : renditionUrl(resource, transformation, format);
+
+    const { uploadResult, checksum } = await withRetry(
+      () => this.transfer(url, rendered, s3Key),
+      { label: `Migrating ${resource.public_id} (${transformation})` }
+    );
+    await this.addChecksumMetadata(uploadResult, rendered, s3Key, checksum);
+
+    this.derivedManifest.record(resource, transformation, {
+      format,
+      s3_key: s3Key,
+      source: rendition.secure_url ? 'derived' : 'named_transformation',
+      bytes: checksum.bytes,
+      md5: checksum.md5,
+      sha256: checksum.sha256
+    });
+    console.log(`✅ Migrated rendition: ${resource.public_id} (${transformation})`);
     return 'migrated';
   }
 
+  async getNamedTransformations() {
+    if (!this.namedTransformationList) {
+      this.namedTransformationList = this.namedTransformations === 'all'
+        ? listNamedTransformations()
+        : Promise.resolve(this.namedTransformations.map(name => `t_${name.replace(/^t_/, '')}`));
+    }
+    return this.namedTransformationList;
+  }
+
+  recordRenditionFailure(resource, transformation, error) {
+    const message = errorMessage(error);
+    console.error(`❌ Failed to migrate ${transformation ? `rendition ${transformation} of` : 'renditions of'} ${resource.public_id}:`, message);
+    this.derivedFailedCount++;
+    this.derivedFailedAssets.push({
+      public_id: resource.public_id,
+      resource_type: resource.resource_type,
+      type: resource.type,
+      transformation,
+      error: message,
+      attempts: error.attempts || 1,
+      category: error.category || 'unknown'
+    });
+  }
+
   async deleteFromCloudinaryAsset(resource) {
-    const { public_id, resource_type } = resource;
+    const { public_id, resource_type, type } = resource;
     
     // Use the appropriate deletion method based on resource type
-    await cloudinary.api.delete_resources([public_id], {
+    const outcome = await deleteResources([public_id], {
       resource_type: resource_type || 'image',
-      type: DELIVERY_TYPE
+      type: type || DELIVERY_TYPE
     });
+
+    if (outcome.failed.length > 0) {
+      throw new Error(`Cloudinary did not delete ${public_id}: ${outcome.failed[0].status}`);
+    }
   }
 
   async checkS3FileExists(s3Key) {
     try {
-      await s3.headObject({
-        Bucket: BUCKET_NAME,
-        Key: s3Key
-      }).promise();
+      await withRetry(() => this.destination.headObject(s3Key), { label: `Checking ${s3Key}` });
       return true;
     } catch (error) {
       if (error.code === 'NotFound') {
@@ -243,60 +982,166 @@ class CloudinaryToS3Migrator {
     }
   }
 
-  async downloadAsset(url, publicId, format) {
-    const fileName = `${publicId.replace(/\//g, '_')}.${format}`;
-    const filePath = path.join(downloadsDir, fileName);
-
-    const response = await axios({
+  async downloadAsset(url) {
+    return axios({
       method: 'GET',
       url: url,
       responseType: 'stream',
       timeout: 30000
     });
+  }
 
-    const writer = fs.createWriteStream(filePath);
-    response.data.pipe(writer);
+  // What the downloaded bytes must add up to, from Cloudinary's size and etag
+  expectedChecksum(resource, response) {
+    const headers = response.headers || {};
+    const contentLength = headers['content-encoding'] ? null : parseInt(headers['content-length']);
+    return {
+      bytes: resource.bytes || contentLength || null,
+      md5: expectedMd5(resource)
+    };
+  }
 
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => resolve(filePath));
-      writer.on('error', reject);
-    });
+  transfer(url, resource, s3Key) {
+    return this.transferMode === 'spool'
+      ? this.spoolTransfer(url, resource, s3Key)
+      : this.streamTransfer(url, resource, s3Key);
   }
 
-  async uploadToS3(filePath, resource, s3KeyOverride) {
-    const { public_id, format, resource_type, bytes, width, height, created_at, tags, context } = resource;
-    // Use s3KeyOverride if provided, else fallback to old logic
-    const s3Key = s3KeyOverride || `cloudinary/${public_id}.${format}`;
-    const fileContent = fs.readFileSync(filePath);
+  // Pipes the Cloudinary response straight into a multipart S3 upload
+  async streamTransfer(url, resource, s3Key) {
+    const startedAt = Date.now();
+    const response = await this.downloadAsset(url);
+    const latencyMs = Date.now() - startedAt;
+    const hasher = new HashingStream(this.expectedChecksum(resource, response));
 
-    // Prepare metadata
-    const metadata = {
-      'original-public-id': public_id,
-      'resource-type': resource_type,
-      'cloudinary-created-at': created_at
-    };
+    // A read error or checksum mismatch destroys hasher, which makes the managed upload abort
+    pipeline(...this.throttled(response.data, this.downloadBandwidth), hasher).catch(() => {});
 
-    if (bytes) metadata['original-size'] = bytes.toString();
-    if (width) metadata.width = width.toString();
-    if (height) metadata.height = height.toString();
-    if (tags && tags.length > 0) metadata.tags = tags.join(',');
+    const uploadResult = await this.uploadToS3(hasher, resource, s3Key);
+    return { uploadResult, checksum: hasher.result, latencyMs };
+  }
+
+  // With SHA256_METADATA, stores the SHA-256 of a streamed upload in its
+  // metadata so verify.js can check it without the ledger. Runs after the
+  // transfer: the object is already in S3, so a failed rewrite is only a
+  // warning. Returns the result of whichever write is current.
+  async addChecksumMetadata(uploadResult, resource, s3Key, checksum) {
+    if (!SHA256_METADATA || this.transferMode === 'spool' || checksum.bytes > MAX_COPY_BYTES) return uploadResult;
+
+    const { metadata } = this.objectMetadata(resource, checksum);
+    const params = this.objectPolicy.apply({
+      Key: s3Key,
+      Metadata: metadata,
+      ContentType: this.getContentType(resource.format)
+    }, resource);
+    if (ARCHIVE_STORAGE_CLASSES.includes(params.StorageClass)) return uploadResult;
 
-    // Add context metadata if available
-    if (context) {
-      Object.keys(context).forEach(key => {
-        metadata[`context-${key}`] = context[key];
+    try {
+      return await withRetry(() => this.destination.updateMetadata(params), {
+        label: `Adding the SHA-256 to ${s3Key}`
       });
+    } catch (error) {
+      if (error.interrupted) return uploadResult;
+      console.warn(`⚠️  ${resource.public_id}: could not add the SHA-256 to the S3 metadata (${errorMessage(error)}); it is kept in the ledger`);
+      return uploadResult;
+    }
+  }
+
+  // Downloads to a temp file first, for sources that must be fully read before upload
+  async spoolTransfer(url, resource, s3Key) {
+    const fileName = `${resource.public_id.replace(/\//g, '_')}${resource.format ? `.${resource.format}` : ''}`;
+    const filePath = path.join(downloadsDir, fileName);
+    fs.mkdirSync(downloadsDir, { recursive: true });
+    const untrack = trackTempFile(filePath);
+
+    try {
+      const startedAt = Date.now();
+      const response = await this.downloadAsset(url);
+      const latencyMs = Date.now() - startedAt;
+      const hasher = new HashingStream(this.expectedChecksum(resource, response));
+      await pipeline(...this.throttled(response.data, this.downloadBandwidth), hasher, fs.createWriteStream(filePath));
+
+      // The file is hashed before the upload starts, so the SHA-256 goes in with it
+      const uploadResult = await this.uploadToS3(fs.createReadStream(filePath), resource, s3Key, hasher.result);
+      return { uploadResult, checksum: hasher.result, latencyMs };
+    } finally {
+      fs.rmSync(filePath, { force: true });
+      untrack();
     }
+  }
 
-    const uploadParams = {
-      Bucket: BUCKET_NAME,
+  // Stages to pipe a transfer through: the stream, then the bandwidth cap if any
+  throttled(stream, bandwidth) {
+    return bandwidth ? [stream, bandwidth.throttle()] : [stream];
+  }
+
+  describeBandwidth() {
+    const download = this.downloadBandwidth ? this.downloadBandwidth.describe() : 'unlimited';
+    const upload = this.uploadBandwidth ? this.uploadBandwidth.describe() : 'unlimited';
+    return `download ${download}, upload ${upload}`;
+  }
+
+  async uploadToS3(body, resource, s3KeyOverride, checksum = null) {
+    const { public_id, format, type } = resource;
+    const s3Key = s3KeyOverride || this.keyMapper.keyFor(resource);
+
+    const { metadata, truncated } = this.objectMetadata(resource, checksum);
+    if (truncated.length > 0) {
+      console.warn(`⚠️  ${public_id}: S3 metadata is limited to 2 KB, shortened or left out ${truncated.join(', ')}`);
+    }
+
+    // Accept a file path for callers that still hand over a local file
+    const source = typeof body === 'string' ? fs.createReadStream(body) : body;
+    let uploadBody = source;
+    if (this.uploadBandwidth) {
+      uploadBody = this.uploadBandwidth.throttle();
+      pipeline(source, uploadBody).catch(() => {});
+    }
+
+    const uploadParams = this.objectPolicy.apply({
       Key: s3Key,
-      Body: fileContent,
+      Body: uploadBody,
       Metadata: metadata,
       ContentType: this.getContentType(format)
+    }, resource);
+    const uploadOptions = {
+      partSize: S3_PART_SIZE,
+      queueSize: S3_QUEUE_SIZE
     };
 
-    await s3.upload(uploadParams).promise();
+    // Objects are uploaded without a public ACL unless a policy sets one, so they
+    // are private already. Tag private/authenticated assets so bucket policies
+    // and CDN origins can keep them that way when public ones are exposed.
+    const reserved = isRestricted(resource) ? [{ Key: 'cloudinary-access', Value: type }] : [];
+
+    const objectTags = ObjectPolicy.objectTags(resource, reserved);
+    if (objectTags.dropped.length > 0) {
+      console.warn(`⚠️  ${public_id}: S3 allows 10 object tags, not tagged with ${objectTags.dropped.join(', ')}`);
+    }
+    if (objectTags.tags.length > 0) uploadOptions.tags = objectTags.tags;
+
+    return this.destination.upload(uploadParams, uploadOptions);
+  }
+
+  // S3 user metadata: identifying fields first, then structured metadata,
+  // context and tags as far as the 2 KB limit allows. `checksum` is the
+  // transfer's, once it is known.
+  objectMetadata(resource, checksum = null) {
+    const { public_id, resource_type, bytes, width, height, created_at } = resource;
+
+    return buildObjectMetadata(resource, {
+      'original-public-id': public_id,
+      'resource-type': resource_type,
+      'cloudinary-created-at': created_at,
+      'original-size': bytes,
+      transformation: resource.transformation,
+      // Only set when known up front; the transfer aborts if the content does not match it
+      'content-md5': expectedMd5(resource),
+      'content-sha256': checksum ? checksum.sha256 : null,
+      width,
+      height,
+      'cloudinary-access': isRestricted(resource) ? resource.type : null
+    });
   }
 
   getContentType(format) {
@@ -315,18 +1160,86 @@ class CloudinaryToS3Migrator {
       'pdf': 'application/pdf'
     };
 
-    return contentTypes[format.toLowerCase()] || 'application/octet-stream';
+    return contentTypes[(format || '').toLowerCase()] || 'application/octet-stream';
+  }
+
+  printPlanSummary() {
+    const summary = this.plan.summary();
+
+    if (this.stopSignal) {
+      console.log(`\n🧪 Dry run stopped by ${this.stopSignal}, nothing was changed`);
+    } else {
+      console.log('\n🧪 Dry run completed, nothing was changed');
+    }
+    console.log('=========================================');
+    console.log(`Assets listed: ${summary.assets}`);
+    console.log(`Would copy: ${summary.would_copy}`);
+    console.log(`Would skip: ${summary.would_skip}`);
+    console.log(`Would overwrite: ${summary.would_overwrite}`);
+    console.log(`Would delete from Cloudinary: ${summary.would_delete}`);
+    console.log(`Total size: ${(summary.total_bytes / (1024 * 1024)).toFixed(2)} MB`);
+    console.log(`To transfer: ${(summary.transfer_bytes / (1024 * 1024)).toFixed(2)} MB`);
+    console.log(`Estimated duration: ${Math.ceil(summary.estimated_seconds / 60)} minutes at ${summary.assumed_throughput_mbps} MB/s`);
+
+    if (this.failedAssets.length > 0) {
+      console.log(`Could not classify: ${this.failedAssets.length}`);
+    }
+
+    if (this.typeSummaries.length > 0) {
+      console.log('\n📂 By type:');
+      this.typeSummaries.forEach(({ resource_type, type }) => {
+        const entries = this.plan.entries.filter(entry =>
+          entry.resource.resource_type === resource_type && entry.resource.type === type);
+        const count = action => entries.filter(entry => entry.action === action).length;
+        console.log(`  - ${resource_type}/${type}: ${entries.length} listed, ${count('copy')} copy, ${count('skip')} skip, ${count('overwrite')} overwrite`);
+      });
+    }
+
+    if (this.planFile && this.stopSignal) {
+      console.log(`\n📝 Plan not written to ${this.planFile}: the listing was not finished`);
+    } else if (this.planFile) {
+      this.plan.save(this.planFile);
+      console.log(`\n📝 Plan written to: ${this.planFile}`);
+      console.log(`Review it, then run with --apply ${this.planFile} to execute exactly this plan.`);
+    }
   }
 
   printSummary() {
-    console.log('\n🎉 Migration completed!');
+    if (this.dryRun) {
+      this.printPlanSummary();
+      return;
+    }
+
+    if (this.stopSignal) {
+      console.log(`\n🛑 Migration stopped by ${this.stopSignal}`);
+    } else {
+      console.log('\n🎉 Migration completed!');
+    }
     console.log('========================');
+    if (this.runId) {
+      console.log(`Run id: ${this.runId}`);
+    }
     console.log(`Total assets processed: ${this.totalCount}`);
     console.log(`Successfully migrated: ${this.migratedCount}`);
     console.log(`Skipped (already exist): ${this.skippedCount}`);
     console.log(`Failed: ${this.failedCount}`);
     console.log(`Deleted from Cloudinary: ${this.deletedCount}`);
     console.log(`Failed to delete from Cloudinary: ${this.deleteFailedCount}`);
+    console.log(`Per-asset ledger: ${this.ledger.filePath}`);
+    if (this.mappingManifest.count > 0) {
+      console.log(`Mapping manifest: ${this.mappingManifest.describe()}`);
+    }
+    if (this.includeDerived || this.namedTransformations) {
+      console.log(`Derived renditions: ${this.derivedMigratedCount} migrated, ${this.derivedSkippedCount} skipped, ${this.derivedFailedCount} failed`);
+      console.log(`Derived manifest: ${this.derivedManifest.filePath}`);
+    }
+
+    if (this.typeSummaries.length > 0) {
+      console.log('\n📂 By type:');
+      this.typeSummaries.forEach(summary => {
+        console.log(`  - ${summary.resource_type}/${summary.type}: ${summary.total} processed, ${summary.migrated} migrated, ${summary.skipped} skipped, ${summary.failed} failed, ${summary.deleted} deleted${summary.incomplete ? ' (incomplete, re-run with --resume)' : ''}`);
+      });
+    }
 
     if (this.skippedAssets.length > 0) {
       console.log('\n⏭️ Skipped assets (first 10):');
@@ -349,8 +1262,13 @@ class CloudinaryToS3Migrator {
     if (this.failedAssets.length > 0) {
       console.log('\n❌ Failed assets:');
       this.failedAssets.forEach(asset => {
-        console.log(`  - ${asset.public_id}: ${asset.error}`);
+        console.log(`  - ${asset.public_id}: ${asset.error} (${asset.category}, ${asset.attempts} attempt(s))`);
+      });
+      const byCategory = {};
+      this.failedAssets.forEach(asset => {
+        byCategory[asset.category] = (byCategory[asset.category] || 0) + 1;
       });
+      console.log(`Failures by category: ${Object.entries(byCategory).map(([category, count]) => `${category}: ${count}`).join(', ')}`);
       // Write failed assets to file for review
       const failedAssetsFile = path.join(__dirname, 'failed-assets.json');
       fs.writeFileSync(failedAssetsFile, JSON.stringify(this.failedAssets, null, 2));
@@ -368,65 +1286,72 @@ class CloudinaryToS3Migrator {
       console.log(`\nFailed deletion assets logged to: ${deleteFailedAssetsFile}`);
     }
 
+    if (this.derivedFailedAssets.length > 0) {
+      console.log('\n❌ Failed renditions (originals kept in Cloudinary):');
+      this.derivedFailedAssets.slice(0, 10).forEach(asset => {
+        console.log(`  - ${asset.public_id} ${asset.transformation || '(listing)'}: ${asset.error}`);
+      });
+      const derivedFailedFile = path.join(__dirname, 'derived-failed-assets.json');
+      fs.writeFileSync(derivedFailedFile, JSON.stringify(this.derivedFailedAssets, null, 2));
+      console.log(`\nFailed renditions logged to: ${derivedFailedFile}`);
+    }
+
     console.log('\n✨ Migration summary complete!');
   }
 }
 
-// Main execution
-async function main() {
-  // Parse command line arguments
-  const args = process.argv.slice(2);
-  const options = {};
+// Options shared with selective-migrate.js
+const MIGRATION_OPTIONS = [
+  { flag: '--skip-existing', set: { skipExisting: true } },
+  { flag: '--no-skip-existing', set: { skipExisting: false } },
+  // Force overwrite implies no skipping
+  { flag: '--force-overwrite', set: { forceOverwrite: true, skipExisting: false } },
+  { flag: '--delete', set: { deleteFromCloudinary: true } },
+  { flag: '--no-delete', set: { deleteFromCloudinary: false } },
+  { flag: '--resume', set: { resume: true } },
+  { flag: '--resource-type', key: 'resourceType' },
+  { flag: '--delivery-type', key: 'deliveryType' },
+  { flag: '--spool', set: { transferMode: 'spool' } },
+  { flag: '--destination', key: 'destinationType', choices: DESTINATION_TYPES },
+  { flag: '--destination-dir', key: 'destinationDir' },
+  { flag: '--policy', key: 'policyFile' },
+  { flag: '--sidecar', set: { sidecar: true } },
+  { flag: '--derived', set: { includeDerived: true } },
+  { flag: '--manifest-format', key: 'manifestFormat', choices: ['csv', 'jsonl', 'both', 'none'] },
+  { flag: '--named-transformations', key: 'namedTransformations', parse: value => value === 'all' ? 'all' : value.split(',') },
+  { flag: '--dry-run', set: { dryRun: true } },
+  { flag: '--plan', key: 'planFile' },
+  { flag: '--apply', key: 'applyPlan' },
+  { flag: '--status-port', key: 'statusPort', type: 'int' },
+  { flag: '--max-download-rate', key: 'maxDownloadRate', parse: value => parseRate(value, '--max-download-rate') },
+  { flag: '--max-upload-rate', key: 'maxUploadRate', parse: value => parseRate(value, '--max-upload-rate') }
+];
+
+const CLI_OPTIONS = [
+  ...MIGRATION_OPTIONS,
+  { flag: '--all-types', set: { resourceType: 'all', deliveryType: 'all' } }
+];
 
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    switch (arg) {
-      case '--skip-existing':
-        options.skipExisting = true;
-        break;
-      case '--no-skip-existing':
-        options.skipExisting = false;
-        break;
-      case '--force-overwrite':
-        options.forceOverwrite = true;
-        options.skipExisting = false; // Force overwrite implies no skipping
-        break;
-      case '--no-delete':
-        options.deleteFromCloudinary = false;
-        break;
-      case '--help':
-        printHelp();
-        process.exit(0);
-    }
+// Main execution
+async function main(args = process.argv.slice(2)) {
+  const options = parseArgs(args, CLI_OPTIONS);
+  if (options.help) {
+    printHelp();
+    return;
   }
 
-  // Validate environment variables
-  const requiredEnvVars = [
+  requireEnv([
     'CLOUDINARY_CLOUD_NAME',
     'CLOUDINARY_API_KEY',
     'CLOUDINARY_API_SECRET',
-    'AWS_REGION',
-    'AWS_ACCESS_KEY_ID',
-    'AWS_SECRET_ACCESS_KEY',
-    'AWS_S3_BUCKET_NAME'
-  ];
-
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-  
-  if (missingVars.length > 0) {
-    console.error('❌ Missing required environment variables:');
-    missingVars.forEach(varName => console.error(`  - ${varName}`));
-    console.error('\nPlease update your .env file and try again.');
-    process.exit(1);
-  }
-
-  try {
-    const migrator = new CloudinaryToS3Migrator(options);
+    ...destinationEnvVars(options.destinationType)
+  ]);
+
+  const migrator = new CloudinaryToS3Migrator(options);
+  if (options.applyPlan) {
+    await migrator.applyPlan(options.applyPlan);
+  } else {
     await migrator.migrate();
-  } catch (error) {
-    console.error('❌ Migration failed:', error);
-    process.exit(1);
   }
 }
 
@@ -440,41 +1365,78 @@ Options:
   --skip-existing       Skip files that already exist in S3 (default)
   --no-skip-existing    Process all files, even if they exist in S3
   --force-overwrite     Force overwrite existing files in S3
-  --no-delete          Do not delete assets from Cloudinary after successful migration/skip
+  --delete             Delete each asset from Cloudinary right after it is uploaded (prefer purge.js)
+  --no-delete          Do not delete assets from Cloudinary (default)
+  --resume             Continue the last unfinished run from its saved checkpoint
+  --resource-type <t>  image, video, raw or all (default: RESOURCE_TYPE or image)
+  --delivery-type <t>  upload, private, authenticated, fetch, ... or all (default: DELIVERY_TYPE or upload)
+  --all-types          Discover and migrate every resource/delivery type combination
+  --destination <type> s3, s3-compatible (S3_ENDPOINT) or local (default: DESTINATION or s3)
+  --destination-dir <dir>
+                       Directory of the local destination (default: DESTINATION_DIR or export/)
+  --policy <file>      S3 object policy rules (default: S3_POLICY_FILE)
+  --sidecar            Write <key>.cloudinary.json with the full Cloudinary record next to each asset
+  --spool              Download each asset to downloads/ before uploading (default: stream)
+  --derived            Also copy each asset's derived resources (eager/on-the-fly derivatives)
+  --named-transformations <names|all>
+                       Also copy renditions of these named transformations (comma-separated)
+  --manifest-format <f> Mapping manifest format: csv, jsonl, both or none (default: both)
+  --dry-run            List and classify assets (copy/skip/overwrite/delete) without changing anything
+  --plan <file>        Dry run that also writes the plan to <file> for review
+  --apply <file>       Execute a plan written by --plan, exactly as reviewed
+  --status-port <port> Serve live progress on http://127.0.0.1:<port>/status and /metrics (default: STATUS_PORT)
+  --max-download-rate <rate>
+                       Cap downloads from Cloudinary, e.g. 20mb per second (default: MAX_DOWNLOAD_RATE)
+  --max-upload-rate <rate>
+                       Cap uploads to the destination, e.g. 20mb per second (default: MAX_UPLOAD_RATE)
   --help               Show this help message
 
 Examples:
-  # Default migration (skips existing files and deletes from Cloudinary)
+  # Default migration (skips existing files, keeps assets in Cloudinary)
   node migrate.js
 
-  # Force overwrite all files and delete from Cloudinary
+  # Force overwrite all files
   node migrate.js --force-overwrite
 
-  # Migrate without deleting from Cloudinary
-  node migrate.js --no-delete
+  # Migrate and delete each uploaded asset from Cloudinary immediately
+  node migrate.js --delete
 
   # Process all files without checking existence
   node migrate.js --no-skip-existing
 
+  # Rehearse the whole migration into a local directory
+  node migrate.js --destination local --destination-dir /tmp/cloudinary-export
+
+  # Continue an interrupted migration where it stopped
+  node migrate.js --resume
+
+  # Migrate the whole account: every resource type and delivery type that has assets
+  node migrate.js --all-types
+
+  # Copy derivatives and named transformation renditions next to the originals
+  node migrate.js --derived --named-transformations thumb,hero
+
+  # Leave room on a shared link: at most 20 MB/s each way
+  node migrate.js --max-download-rate 20mb --max-upload-rate 20mb
+
+  # Watch a long run from another shell: curl localhost:9464/status
+  node migrate.js --all-types --status-port 9464
+
+  # Review what a run would do, then execute exactly that
+  node migrate.js --plan plan.json
+  node migrate.js --apply plan.json
+
 Environment Variables:
   All required environment variables should be set in your .env file.
   See .env.example for the complete list.
   `);
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Migration interrupted by user');
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Migration terminated');
-  process.exit(0);
-});
-
 if (require.main === module) {
-  main();
+  runCommand(() => main(), 'Migration failed');
 }
 
 module.exports = CloudinaryToS3Migrator;
+module.exports.main = main;
+module.exports.MIGRATION_OPTIONS = MIGRATION_OPTIONS;
+module.exports.LISTING_FIELDS = LISTING_FIELDS;
@@ -0,0 +1,213 @@
+require('dotenv').config();
+const cloudinary = require('./lib/cloudinary-client');
+const fs = require('fs');
+const path = require('path');
+const MigrationLedger = require('./lib/ledger');
+const { deleteResources, DELETE_BATCH_SIZE } = require('./lib/cloudinary-delete');
+const { errorMessage } = require('./lib/retry');
+const { parseArgs, requireEnv, runCommand } = require('./lib/cli');
+
+const PURGE_GRACE_HOURS = parseFloat(process.env.PURGE_GRACE_HOURS) || 72;
+// Methods that hashed the bytes in S3. 'metadata' only reads back the MD5 the
+// migration attested at upload time, and 'size' checks no content at all.
+const CHECKSUM_METHODS = ['deep', 'etag'];
+
+// Second phase of a migration: deletes from Cloudinary only the assets that
+// verify.js confirmed in S3, once the grace period since verification is over.
+class CloudinaryPurger {
+  constructor(options = {}) {
+    this.graceHours = options.graceHours !== undefined ? options.graceHours : PURGE_GRACE_HOURS;
+    this.requireChecksum = options.requireChecksum === true; // Default to false
+    this.confirm = options.confirm === true; // Without it, only report what would be deleted
+    this.limit = options.limit || null;
+    this.resourceType = options.resourceType || null;
+    this.deliveryType = options.deliveryType || null;
+    this.ledger = options.ledger || new MigrationLedger();
+
+    this.deletedCount = 0;
+    this.notFoundCount = 0;
+    this.failedCount = 0;
+    this.failedAssets = [];
+  }
+
+  async purge() {
+    console.log(`🧹 ${this.confirm ? 'Purging' : 'Dry run: listing'} verified assets from Cloudinary...`);
+    console.log(`Grace period: ${this.graceHours} hours after verification`);
+    console.log(`Require checksum verification: ${this.requireChecksum ? 'Yes' : 'No'}`);
+    console.log('---');
+
+    await this.ledger.load();
+
+    const candidates = this.findCandidates();
+    console.log(`Found ${candidates.length} asset(s) eligible for deletion`);
+
+    if (!this.confirm) {
+      candidates.slice(0, 20).forEach(row => {
+        console.log(`  - ${row.key} (verified ${row.verified_at} by ${row.verified_by || 'size'})`);
+      });
+      if (candidates.length > 20) {
+        console.log(`  ... and ${candidates.length - 20} more`);
+      }
+      console.log('\nNothing was deleted. Re-run with --confirm to delete these assets from Cloudinary.');
+      return;
+    }
+
+    // delete_resources works on one resource/delivery type at a time
+    const groups = new Map();
+    candidates.forEach(row => {
+      const group = `${row.resource_type}/${row.type}`;
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(row);
+    });
+
+    for (const rows of groups.values()) {
+      for (let i = 0; i < rows.length; i += DELETE_BATCH_SIZE) {
+        await this.deleteBatch(rows.slice(i, i + DELETE_BATCH_SIZE));
+      }
+    }
+
+    this.printSummary();
+  }
+
+  findCandidates() {
+    const cutoff = Date.now() - this.graceHours * 60 * 60 * 1000;
+
+    const candidates = Array.from(this.ledger.rows.values()).filter(row => {
+      if (row.state !== 'verified' || row.last_error) return false;
+      // Deleting the original would also delete the renditions that weren't copied
+      if (row.renditions === 'failed') return false;
+      if (!row.verified_at || Date.parse(row.verified_at) > cutoff) return false;
+      if (this.requireChecksum && !CHECKSUM_METHODS.includes(row.verified_by)) return false;
+      if (this.resourceType && row.resource_type !== this.resourceType) return false;
+      if (this.deliveryType && row.type !== this.deliveryType) return false;
+      return true;
+    });
+
+    return this.limit ? candidates.slice(0, this.limit) : candidates;
+  }
+
+  async deleteBatch(rows) {
+    const { resource_type, type } = rows[0];
+    const byPublicId = new Map(rows.map(row => [row.public_id, row]));
+
+    console.log(`🗑️  Deleting ${rows.length} ${resource_type}/${type} asset(s)...`);
+
+    try {
+      const outcome = await deleteResources(Array.from(byPublicId.keys()), { resource_type, type });
+
+      outcome.deleted.forEach(publicId => {
+        this.ledger.record(byPublicId.get(publicId), 'deleted', { delete_result: 'deleted' });
+        this.deletedCount++;
+      });
+
+      // Already gone from Cloudinary, which is the state we wanted
+      outcome.notFound.forEach(publicId => {
+        this.ledger.record(byPublicId.get(publicId), 'deleted', { delete_result: 'not_found' });
+        this.notFoundCount++;
+      });
+
+      outcome.failed.forEach(({ public_id, status }) => {
+        this.recordFailure(byPublicId.get(public_id), `Cloudinary returned "${status}"`);
+      });
+    } catch (error) {
+      rows.forEach(row => this.recordFailure(row, errorMessage(error), error));
+    }
+
+    console.log(`Progress: ${this.deletedCount} deleted, ${this.notFoundCount} already gone, ${this.failedCount} failed`);
+  }
+
+  recordFailure(row, message, error = {}) {
+    console.error(`❌ Failed to delete ${row.public_id}: ${message}`);
+    this.failedCount++;
+    this.ledger.recordError(row, `delete failed: ${message}`, {
+      attempts: error.attempts,
+      category: error.category
+    });
+    this.failedAssets.push({
+      public_id: row.public_id,
+      resource_type: row.resource_type,
+      type: row.type,
+      error: message,
+      attempts: error.attempts || 1,
+      category: error.category || 'unknown'
+    });
+  }
+
+  printSummary() {
+    console.log('\n🧹 Purge completed!');
+    console.log('===================');
+    console.log(`Deleted from Cloudinary: ${this.deletedCount}`);
+    console.log(`Already deleted (not found): ${this.notFoundCount}`);
+    console.log(`Failed to delete: ${this.failedCount}`);
+
+    if (this.failedAssets.length > 0) {
+      const failedFile = path.join(__dirname, 'purge-failed-assets.json');
+      fs.writeFileSync(failedFile, JSON.stringify(this.failedAssets, null, 2));
+      console.log(`\nFailed deletions logged to: ${failedFile}`);
+    }
+  }
+}
+
+const CLI_OPTIONS = [
+  { flag: '--confirm', set: { confirm: true } },
+  { flag: '--grace-hours', key: 'graceHours', type: 'number' },
+  { flag: '--require-checksum', set: { requireChecksum: true } },
+  { flag: '--resource-type', key: 'resourceType' },
+  { flag: '--delivery-type', key: 'deliveryType' },
+  { flag: '--limit', key: 'limit', type: 'int' }
+];
+
+// CLI interface
+async function runPurge(args = process.argv.slice(2)) {
+  const options = parseArgs(args, CLI_OPTIONS);
+  if (options.help) {
+    printHelp();
+    return;
+  }
+
+  requireEnv([
+    'CLOUDINARY_CLOUD_NAME',
+    'CLOUDINARY_API_KEY',
+    'CLOUDINARY_API_SECRET'
+  ]);
+
+  const purger = new CloudinaryPurger(options);
+  await purger.purge();
+}
+
+function printHelp() {
+  console.log(`
+Cloudinary Purge Tool
+
+Deletes assets from Cloudinary that were migrated and then verified in S3 by
+verify.js, once the grace period since verification has passed. Without
+--confirm it only lists what would be deleted.
+
+Usage: node purge.js [options]
+
+Options:
+  --confirm                 Actually delete (default: dry run)
+  --grace-hours <hours>     Hours to wait after verification (default: PURGE_GRACE_HOURS or 72)
+  --require-checksum        Only purge assets whose checksum verify.js checked against S3
+                            (--deep or a single-part ETag), not just size or the upload's
+                            stored content-md5
+  --resource-type <type>    Only purge this resource type
+  --delivery-type <type>    Only purge this delivery type
+  --limit <number>          Purge at most this many assets
+  --help                    Show this help message
+
+Examples:
+  # See what would be deleted
+  node purge.js
+
+  # Delete checksum-verified assets verified more than a week ago
+  node purge.js --grace-hours 168 --require-checksum --confirm
+  `);
+}
+
+if (require.main === module) {
+  runCommand(() => runPurge(), 'Purge failed');
+}
+
+module.exports = CloudinaryPurger;
+module.exports.main = runPurge;
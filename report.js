@@ -0,0 +1,131 @@
+require('dotenv').config();
+const MigrationLedger = require('./lib/ledger');
+const { parseArgs, runCommand } = require('./lib/cli');
+
+class LedgerReport {
+  constructor(options = {}) {
+    this.ledger = options.ledger || new MigrationLedger(options.ledgerFile);
+  }
+
+  async summary() {
+    await this.ledger.load();
+
+    const counts = this.ledger.summary();
+    console.log('\n📒 Migration Ledger Summary');
+    console.log('===========================');
+    console.log(`Ledger file: ${this.ledger.filePath}`);
+    console.log(`Assets tracked: ${this.ledger.rows.size.toLocaleString()}`);
+    console.log('');
+    MigrationLedger.STATES.forEach(state => {
+      console.log(`  ${state}: ${counts[state].toLocaleString()}`);
+    });
+    console.log(`  with errors: ${counts.failed.toLocaleString()}`);
+  }
+
+  async lookup(publicId) {
+    await this.ledger.load();
+
+    const rows = this.ledger.findByPublicId(publicId);
+    if (rows.length === 0) {
+      console.log(`❓ No ledger entry for ${publicId}`);
+      return [];
+    }
+
+    rows.forEach(row => {
+      console.log(`\n📍 ${row.key}`);
+      console.log(`  State: ${row.state || 'unknown'}`);
+      console.log(`  S3 key: ${row.s3_key || '-'}`);
+      if (row.bytes) console.log(`  Size: ${row.bytes}`);
+      if (row.s3_etag) console.log(`  S3 ETag: ${row.s3_etag}`);
+      MigrationLedger.STATES.forEach(state => {
+        if (row[`${state}_at`]) console.log(`  ${state} at: ${row[`${state}_at`]}`);
+      });
+      if (row.last_error) console.log(`  Last error: ${row.last_error} (${row.failed_at})`);
+    });
+
+    return rows;
+  }
+
+  async list(state, limit = 50) {
+    await this.ledger.load();
+
+    const rows = Array.from(this.ledger.rows.values()).filter(row =>
+      state === 'failed' ? Boolean(row.last_error) : row.state === state
+    );
+
+    console.log(`\n${rows.length.toLocaleString()} assets in state "${state}"${rows.length > limit ? ` (first ${limit})` : ''}:`);
+    rows.slice(0, limit).forEach(row => {
+      console.log(`  - ${row.key} → ${row.s3_key || '-'}${row.last_error ? ` (${row.last_error})` : ''}`);
+    });
+
+    return rows;
+  }
+
+  async compact() {
+    await this.ledger.load();
+    this.ledger.compact();
+    console.log(`🧹 Compacted ledger to ${this.ledger.rows.size.toLocaleString()} rows: ${this.ledger.filePath}`);
+  }
+}
+
+const CLI_OPTIONS = [
+  { flag: '--public-id', key: 'publicId' },
+  { flag: '--state', key: 'state' },
+  { flag: '--limit', key: 'limit', type: 'int' },
+  { flag: '--ledger', key: 'ledgerFile' },
+  { flag: '--compact', set: { compact: true } }
+];
+
+// CLI interface
+async function runReport(args = process.argv.slice(2)) {
+  const { help, publicId = null, state = null, limit = 50, compact = false, ...options } = parseArgs(args, CLI_OPTIONS);
+  if (help) {
+    printHelp();
+    return;
+  }
+
+  const report = new LedgerReport(options);
+
+  if (compact) {
+    await report.compact();
+  } else if (publicId) {
+    await report.lookup(publicId);
+  } else if (state) {
+    await report.list(state, limit);
+  } else {
+    await report.summary();
+  }
+}
+
+function printHelp() {
+  console.log(`
+Migration Ledger Report
+
+Usage: node report.js [options]
+
+Options:
+  --public-id <id>      Show where a single asset is and what happened to it
+  --state <state>       List assets in a state: ${MigrationLedger.STATES.join(', ')}, failed
+  --limit <number>      Max assets to list with --state (default: 50)
+  --ledger <file>       Ledger file to read (default: LEDGER_FILE or migration-ledger.jsonl)
+  --compact             Rewrite the ledger keeping only the latest row per asset
+  --help                Show this help message
+
+Examples:
+  # Counts per state
+  node report.js
+
+  # Where is asset X?
+  node report.js --public-id "products/shoe-1"
+
+  # Assets whose last operation failed
+  node report.js --state failed
+  `);
+}
+
+if (require.main === module) {
+  runCommand(() => runReport(), 'Report failed');
+}
+
+module.exports = LedgerReport;
+module.exports.main = runReport;
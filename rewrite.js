@@ -0,0 +1,365 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const MigrationLedger = require('./lib/ledger');
+const DerivedManifest = require('./lib/derived-manifest');
+const S3KeyMapper = require('./lib/key-mapping');
+const { findCloudinaryUrls, parseCloudinaryUrl } = require('./lib/cloudinary-url');
+const { parseArgs, runCommand, UsageError } = require('./lib/cli');
+
+// Extensions picked up when a directory is given
+const TEXT_EXTENSIONS = ['.json', '.jsonl', '.csv', '.tsv', '.sql', '.html', '.htm', '.md', '.markdown', '.txt', '.xml', '.yml', '.yaml'];
+// Characters that never appear inside a URL, so text can be split after one
+const URL_DELIMITER = /[\s"'<>()[\]{}|^`]/;
+
+// Replaces Cloudinary delivery URLs in exported content with the URLs of the
+// migrated S3 objects. Keys come from the ledger and the derived manifest, i.e.
+// from what migrate.js actually uploaded, so only migrated assets are rewritten.
+class CloudinaryUrlRewriter {
+  constructor(options = {}) {
+    this.ledger = options.ledger || new MigrationLedger(options.ledgerFile);
+    this.derivedManifest = options.derivedManifest || new DerivedManifest(options.manifestFile);
+    this.keyMapper = options.keyMapper || new S3KeyMapper();
+    this.cloudName = options.cloudName || process.env.CLOUDINARY_CLOUD_NAME || null;
+    // Map assets that are not in the ledger with the key mapping alone
+    this.trustKeyMapping = options.trustKeyMapping === true;
+    this.dryRun = options.dryRun === true;
+
+    this.fileCount = 0;
+    this.urlCount = 0;
+    this.rewrittenCount = 0;
+    this.unmapped = new Map();
+  }
+
+  async load() {
+    await this.ledger.load();
+    await this.derivedManifest.load();
+  }
+
+  // Returns { url, key } for a mapped Cloudinary URL or { reason } when there
+  // is no migrated object for it
+  mapUrl(url) {
+    const parsed = parseCloudinaryUrl(url);
+    if (parsed.error) return { reason: parsed.error };
+    if (this.cloudName && parsed.cloudName && parsed.cloudName !== this.cloudName) {
+      return { reason: 'other_cloud' };
+    }
+    if (parsed.type === 'fetch') {
+      return { reason: 'fetch_url' };
+    }
+
+    let reason = 'not_migrated';
+
+    for (const candidate of parsed.candidates) {
+      const resource = {
+        public_id: candidate.publicId,
+        resource_type: parsed.resourceType,
+        type: parsed.type,
+        format: candidate.format,
+        version: parsed.version
+      };
+      const row = this.ledger.get(resource);
+      const migrated = row && MigrationLedger.STATES.indexOf(row.state) >= MigrationLedger.STATES.indexOf('uploaded');
+
+      if (!migrated && !(this.trustKeyMapping && !row)) {
+        continue;
+      }
+
+      if (candidate.transformation) {
+        const entry = this.derivedManifest.get(resource, candidate.transformation);
+        if (entry && (!candidate.format || entry.format === candidate.format)) {
+          return { url: this.keyMapper.urlFor(entry.s3_key), key: entry.s3_key };
+        }
+        reason = 'transformation_not_migrated';
+        continue;
+      }
+
+      // Delivering an original in another format is a conversion, not the original
+      const originalFormat = row && row.format ? row.format : candidate.format;
+      if (candidate.format && originalFormat !== candidate.format) {
+        reason = 'format_conversion_not_migrated';
+        continue;
+      }
+
+      if (row && row.s3_key) {
+        return { url: this.keyMapper.urlFor(row.s3_key), key: row.s3_key };
+      }
+
+      try {
+        const key = this.keyMapper.keyFor(resource);
+        return { url: this.keyMapper.urlFor(key), key };
+      } catch (error) {
+        reason = 'key_mapping_failed';
+      }
+    }
+
+    return { reason };
+  }
+
+  rewriteText(text, source) {
+    const found = findCloudinaryUrls(text);
+    if (found.length === 0) return text;
+
+    let output = '';
+    let position = 0;
+
+    found.forEach(({ match, url, index, escaped }) => {
+      this.urlCount++;
+      const mapped = this.mapUrl(url);
+      output += text.slice(position, index);
+
+      if (mapped.url) {
+        this.rewrittenCount++;
+        // Keep JSON-escaped slashes escaped
+        output += escaped ? mapped.url.replace(/\//g, '\\/') : mapped.url;
+      } else {
+        this.recordUnmapped(url, mapped.reason, source);
+        output += match;
+      }
+
+      position = index + match.length;
+    });
+
+    return output + text.slice(position);
+  }
+
+  recordUnmapped(url, reason, source) {
+    const entry = this.unmapped.get(url) || { url, reason, count: 0, sources: [] };
+    entry.count++;
+    if (!entry.sources.includes(source)) entry.sources.push(source);
+    this.unmapped.set(url, entry);
+  }
+
+  // Rewrites a stream chunk by chunk so large dumps never have to fit in memory.
+  // Text is only cut after a character that cannot be part of a URL.
+  async rewriteStream(input, output, source) {
+    input.setEncoding('utf8');
+    let pending = '';
+
+    for await (const chunk of input) {
+      pending += chunk;
+
+      let end = pending.length;
+      while (end > 0 && !URL_DELIMITER.test(pending[end - 1])) end--;
+      if (end === 0) continue;
+
+      await this.write(output, this.rewriteText(pending.slice(0, end), source));
+      pending = pending.slice(end);
+    }
+
+    await this.write(output, this.rewriteText(pending, source));
+  }
+
+  async write(output, data) {
+    if (output && data && !output.write(data)) {
+      await once(output, 'drain');
+    }
+  }
+
+  // Rewrites one file to `destination` (stdout when null). In-place rewrites
+  // go through a temp file so an interrupted run never leaves half a file.
+  async rewriteFile(filePath, destination) {
+    this.fileCount++;
+    const input = fs.createReadStream(filePath);
+
+    if (this.dryRun) {
+      await this.rewriteStream(input, null, filePath);
+      return;
+    }
+    if (!destination) {
+      await this.rewriteStream(input, process.stdout, filePath);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    const tempPath = `${destination}.rewrite-tmp`;
+    const output = fs.createWriteStream(tempPath);
+    try {
+      await this.rewriteStream(input, output, filePath);
+      output.end();
+      await once(output, 'finish');
+      fs.renameSync(tempPath, destination);
+    } catch (error) {
+      output.destroy();
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async rewriteStdin() {
+    await this.rewriteStream(process.stdin, this.dryRun ? null : process.stdout, 'stdin');
+  }
+
+  printSummary(reportFile) {
+    const unmapped = Array.from(this.unmapped.values()).sort((a, b) => b.count - a.count);
+    const byReason = {};
+    unmapped.forEach(entry => {
+      byReason[entry.reason] = (byReason[entry.reason] || 0) + entry.count;
+    });
+
+    // stdout may carry the rewritten content, so report on stderr
+    console.error('\n🔗 URL rewrite completed!');
+    console.error('=========================');
+    console.error(`Files scanned: ${this.fileCount}`);
+    console.error(`Cloudinary URLs found: ${this.urlCount}`);
+    console.error(`Rewritten: ${this.rewrittenCount}`);
+    console.error(`Not rewritten: ${this.urlCount - this.rewrittenCount} (${unmapped.length} distinct)`);
+    if (unmapped.length > 0) {
+      console.error(`By reason: ${Object.entries(byReason).map(([reason, count]) => `${reason}: ${count}`).join(', ')}`);
+      unmapped.slice(0, 10).forEach(entry => {
+        console.error(`  - ${entry.url} (${entry.reason}, ${entry.count}x)`);
+      });
+      if (unmapped.length > 10) {
+        console.error(`  ... and ${unmapped.length - 10} more`);
+      }
+    }
+
+    const report = {
+      created_at: new Date().toISOString(),
+      files: this.fileCount,
+      urls: this.urlCount,
+      rewritten: this.rewrittenCount,
+      unmapped_by_reason: byReason,
+      unmapped
+    };
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.error(`\n📄 Report saved to: ${reportFile}`);
+  }
+}
+
+// Files to rewrite: plain files as given, directories searched for text exports
+function collectFiles(inputs) {
+  const files = [];
+
+  inputs.forEach(input => {
+    const stats = fs.statSync(input);
+    if (!stats.isDirectory()) {
+      files.push({ file: input, relative: path.basename(input) });
+      return;
+    }
+
+    const walk = dir => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) walk(full);
+        } else if (TEXT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+          files.push({ file: full, relative: path.relative(input, full) });
+        }
+      });
+    };
+    walk(input);
+  });
+
+  return files;
+}
+
+const CLI_OPTIONS = [
+  { flag: '--in-place', set: { inPlace: true } },
+  { flag: '--out-dir', key: 'outDir' },
+  { flag: '--dry-run', set: { dryRun: true } },
+  { flag: '--report', key: 'reportFile' },
+  { flag: '--ledger', key: 'ledgerFile' },
+  { flag: '--manifest', key: 'manifestFile' },
+  { flag: '--trust-key-mapping', set: { trustKeyMapping: true } },
+  { key: 'inputs', positional: true }
+];
+
+// CLI interface
+async function runRewrite(args = process.argv.slice(2)) {
+  const {
+    help,
+    inputs = [],
+    inPlace = false,
+    outDir = null,
+    reportFile = path.join(__dirname, 'rewrite-report.json'),
+    ...options
+  } = parseArgs(args, CLI_OPTIONS);
+  if (help) {
+    printHelp();
+    return;
+  }
+
+  if (inPlace && outDir) {
+    throw new UsageError('Use either --in-place or --out-dir, not both');
+  }
+  if (!process.env.ASSET_BASE_URL && !process.env.AWS_S3_BUCKET_NAME) {
+    throw new UsageError('Set ASSET_BASE_URL (or AWS_S3_BUCKET_NAME and AWS_REGION) so new URLs can be built.');
+  }
+  const missing = inputs.filter(input => !fs.existsSync(input));
+  if (missing.length > 0) {
+    throw new UsageError(`No such file or directory: ${missing.join(', ')}`);
+  }
+
+  const files = collectFiles(inputs);
+  if (files.length > 1 && !inPlace && !outDir && !options.dryRun) {
+    throw new UsageError('Several files given: use --in-place or --out-dir <dir> (or --dry-run to only report)');
+  }
+
+  const rewriter = new CloudinaryUrlRewriter(options);
+  await rewriter.load();
+
+  if (files.length === 0) {
+    await rewriter.rewriteStdin();
+  } else {
+    for (const { file, relative } of files) {
+      let destination = null;
+      if (inPlace) destination = file;
+      else if (outDir) destination = path.join(outDir, relative);
+
+      console.error(`🔗 Rewriting ${file}${destination && destination !== file ? ` -> ${destination}` : ''}`);
+      await rewriter.rewriteFile(file, destination);
+    }
+  }
+
+  rewriter.printSummary(reportFile);
+}
+
+function printHelp() {
+  console.log(`
+Cloudinary URL Rewriter
+
+Replaces Cloudinary delivery URLs in content exports (JSON, CSV, SQL dumps,
+HTML, Markdown...) with the URLs of the migrated S3 objects, using the same
+key mapping as migrate.js. URLs without a migrated equivalent are left as they
+are and listed in the report.
+
+Usage: node rewrite.js [options] [files or directories...]
+
+With no files, reads stdin and writes stdout. A single file is written to
+stdout unless --in-place or --out-dir is given.
+
+Options:
+  --in-place             Rewrite the given files in place
+  --out-dir <dir>        Write rewritten files under <dir>
+  --dry-run              Only scan and report, write nothing
+  --report <file>        Report file (default: rewrite-report.json)
+  --ledger <file>        Ledger to read (default: LEDGER_FILE or migration-ledger.jsonl)
+  --manifest <file>      Derived manifest to read (default: DERIVED_MANIFEST_FILE or derived-manifest.jsonl)
+  --trust-key-mapping    Also rewrite assets missing from the ledger, using S3_KEY_TEMPLATE
+  --help                 Show this help message
+
+Environment Variables:
+  ASSET_BASE_URL         Base of the new URLs, e.g. https://cdn.example.com
+                         (default: the S3 endpoint of AWS_S3_BUCKET_NAME)
+  CLOUDINARY_CNAMES      Custom Cloudinary hostnames to recognise (comma-separated)
+
+Examples:
+  # Rewrite a database dump
+  node rewrite.js dump.sql > dump-s3.sql
+
+  # Rewrite a CMS export directory into a copy
+  node rewrite.js exports/ --out-dir exports-s3/
+
+  # See what could not be mapped, without writing anything
+  node rewrite.js exports/ --dry-run
+  `);
+}
+
+if (require.main === module) {
+  runCommand(() => runRewrite(), 'Rewrite failed');
+}
+
+module.exports = CloudinaryUrlRewriter;
+module.exports.main = runRewrite;
@@ -1,13 +1,16 @@
 require('dotenv').config();
+const cloudinary = require('./lib/cloudinary-client');
+const crypto = require('crypto');
 const CloudinaryToS3Migrator = require('./migrate');
-const cloudinary = require('cloudinary').v2;
+const { LISTING_FIELDS } = CloudinaryToS3Migrator;
+const MigrationCheckpoint = require('./lib/checkpoint');
+const MigrationLedger = require('./lib/ledger');
+const { withRetry, errorMessage } = require('./lib/retry');
+const { requiredEnvVars: destinationEnvVars } = require('./lib/destination');
+const { parseArgs, requireEnv, runCommand, UsageError } = require('./lib/cli');
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// The Search API returns at most 500 resources per page
+const SEARCH_MAX_RESULTS = 500;
 
 class SelectiveMigrator extends CloudinaryToS3Migrator {
   constructor(options = {}) {
@@ -16,20 +19,42 @@ class SelectiveMigrator extends CloudinaryToS3Migrator {
       prefix: options.prefix || null,
       publicIds: options.publicIds || null,
       startAt: options.startAt || null,
+      expression: options.expression || null,
+      sortBy: options.sortBy || null,
+      limit: options.limit || null,
+      tagSources: options.tagSources || [],
+      contextSources: options.contextSources || [],
+      moderationSources: options.moderationSources || [],
+      assetFolders: options.assetFolders || [],
       tags: options.tags || false,
       context: options.context || false,
       metadata: options.metadata || false,
       ...options
     };
+    // The sidecar is the complete record, so list everything it should contain
+    if (this.sidecar) {
+      Object.assign(this.options, { tags: true, context: true, metadata: true });
+    }
   }
 
   async migrate() {
+    await this.trackRun('select', () => this.runMigration());
+  }
+
+  async runMigration() {
     console.log('🚀 Starting selective Cloudinary to S3 migration...');
     console.log('Options:', this.options);
+    console.log(`Concurrency: ${this.limiter.describe()}`);
+    console.log(`Bandwidth: ${this.describeBandwidth()}`);
+    console.log(`Notifications: ${this.notifier.describe()}`);
     console.log('---');
 
     if (this.options.publicIds && this.options.publicIds.length > 0) {
       await this.migrateByPublicIds(this.options.publicIds);
+    } else if (this.options.expression) {
+      await this.migrateWithExpression();
+    } else if (this.hasSelectionSources()) {
+      await this.migrateFromSources();
     } else {
       await this.migrateWithFilters();
     }
@@ -46,34 +71,74 @@ class SelectiveMigrator extends CloudinaryToS3Migrator {
       batches.push(publicIds.slice(i, i + 100));
     }
 
-    for (const batch of batches) {
+    this.checkpoint = new MigrationCheckpoint({
+      command: 'selective',
+      mode: 'public_ids',
+      resource_type: this.options.resourceType || 'image',
+      public_ids: crypto.createHash('sha1').update(publicIds.join('\n')).digest('hex')
+    });
+    const saved = this.startFromCheckpoint();
+    const firstBatch = saved ? saved.next_batch || 0 : 0;
+    this.expectedTotal = publicIds.length;
+
+    for (let index = firstBatch; index < batches.length; index++) {
+      if (this.stopSignal) return;
+      const batch = batches[index];
       try {
-        const result = await cloudinary.api.resources_by_ids(batch, {
+        const result = await withRetry(() => cloudinary.api.resources_by_ids(batch, {
           resource_type: this.options.resourceType || 'image',
-          fields: 'public_id,format,resource_type,type,bytes,width,height,created_at,folder,tags,context'
-        });
+          fields: LISTING_FIELDS
+        }), { label: 'Fetching resources by IDs' });
 
         console.log(`Found ${result.resources.length} resources in batch`);
         this.totalCount += result.resources.length;
-        await this.processBatch(result.resources);
+        if (!(await this.processBatch(result.resources))) return;
+
+        this.saveCheckpoint({ next_batch: index + 1 }, index + 1 >= batches.length);
 
       } catch (error) {
-        console.error('❌ Error fetching resources by IDs:', error);
+        if (error.interrupted) return;
+        const message = `Listing failed: ${errorMessage(error)}`;
+        console.error(`❌ Error fetching resources by IDs after ${error.attempts} attempt(s) (${error.category}):`, errorMessage(error));
+        console.error('Progress is checkpointed. Re-run with --resume to continue from this batch.');
+        this.noteError(null, message, error.category);
+        // The checkpoint stays before this batch; its IDs are reported so the run doesn't look clean
+        batch.forEach(public_id => {
+          this.failedCount++;
+          this.failedAssets.push({
+            public_id,
+            resource_type: this.options.resourceType || 'image',
+            error: message,
+            attempts: error.attempts || 1,
+            category: error.category || 'unknown'
+          });
+        });
+        return;
       }
     }
   }
 
   async migrateWithFilters() {
-    let nextCursor = null;
+    this.checkpoint = new MigrationCheckpoint({
+      command: 'selective',
+      mode: 'filters',
+      resource_type: this.options.resourceType || 'image',
+      type: this.options.deliveryType || 'upload',
+      prefix: this.options.prefix,
+      start_at: this.options.startAt
+    });
+    const saved = this.startFromCheckpoint();
+
+    let nextCursor = saved ? saved.cursor : null;
     let hasMore = true;
 
-    while (hasMore) {
+    while (hasMore && !this.stopSignal) {
       try {
         const options = {
           resource_type: this.options.resourceType || 'image',
           type: this.options.deliveryType || 'upload',
           max_results: this.options.maxResults || 100,
-          fields: 'public_id,format,resource_type,type,bytes,width,height,created_at,folder,tags,context'
+          fields: LISTING_FIELDS
         };
 
         // Add optional filters
@@ -89,85 +154,316 @@ class SelectiveMigrator extends CloudinaryToS3Migrator {
 
         console.log(`📥 Fetching resources with filters (cursor: ${nextCursor || 'start'})...`);
         
-        const result = await cloudinary.api.resources(options);
+        const result = await withRetry(() => cloudinary.api.resources(options), {
+          label: 'Fetching resources'
+        });
         
         console.log(`Found ${result.resources.length} resources in this batch`);
-        this.totalCount += result.resources.length;
+        const resources = this.withinLimit(result.resources);
+        this.totalCount += resources.length;
 
-        await this.processBatch(result.resources);
+        if (!(await this.processBatch(resources))) break;
 
-        if (result.next_cursor) {
+        if (result.next_cursor && !this.limitReached()) {
           nextCursor = result.next_cursor;
         } else {
           hasMore = false;
         }
 
+        this.saveCheckpoint({ cursor: nextCursor }, !hasMore);
+
         console.log(`Progress: ${this.migratedCount} migrated, ${this.skippedCount} skipped, ${this.failedCount} failed, ${this.totalCount} total processed`);
         console.log('---');
 
       } catch (error) {
-        console.error('❌ Error fetching resources from Cloudinary:', error);
+        if (error.interrupted) break;
+        console.error(`❌ Error fetching resources from Cloudinary after ${error.attempts} attempt(s) (${error.category}):`, errorMessage(error));
+        console.error('Progress is checkpointed. Re-run with --resume to continue from this batch.');
+        this.noteError(null, `Listing failed: ${errorMessage(error)}`, error.category);
         break;
       }
     }
   }
-}
 
-// CLI interface
-async function runCLI() {
-  const args = process.argv.slice(2);
-  const options = {};
+  // Cloudinary Search API, e.g. "folder:products/* AND bytes>5mb AND tags=hero".
+  // Results span resource and delivery types, so each asset keeps its own.
+  async migrateWithExpression() {
+    const sortBy = parseSortBy(this.options.sortBy);
 
-  // Parse command line arguments
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    switch (arg) {
-      case '--prefix':
-        options.prefix = args[++i];
-        break;
-      case '--public-ids':
-        options.publicIds = args[++i].split(',');
-        break;
-      case '--start-at':
-        options.startAt = args[++i];
-        break;
-      case '--resource-type':
-        options.resourceType = args[++i];
-        break;
-      case '--delivery-type':
-        options.deliveryType = args[++i];
-        break;
-      case '--max-results':
-        options.maxResults = parseInt(args[++i]);
-        break;
-      case '--tags':
-        options.tags = true;
-        break;
-      case '--context':
-        options.context = true;
-        break;
-      case '--metadata':
-        options.metadata = true;
-        break;
-      case '--skip-existing':
-        options.skipExisting = true;
-        break;
-      case '--no-skip-existing':
-        options.skipExisting = false;
-        break;
-      case '--force-overwrite':
-        options.forceOverwrite = true;
-        options.skipExisting = false;
+    this.checkpoint = new MigrationCheckpoint({
+      command: 'selective',
+      mode: 'expression',
+      expression: this.options.expression,
+      sort_by: this.options.sortBy,
+      limit: this.options.limit
+    });
+    const saved = this.startFromCheckpoint();
+
+    let nextCursor = saved ? saved.cursor : null;
+    let hasMore = true;
+
+    while (hasMore && !this.stopSignal) {
+      try {
+        const search = cloudinary.search
+          .expression(this.options.expression)
+          .max_results(Math.min(this.options.maxResults || 100, SEARCH_MAX_RESULTS));
+
+        sortBy.forEach(({ field, direction }) => search.sort_by(field, direction));
+        if (this.options.tags) search.with_field('tags');
+        if (this.options.context) search.with_field('context');
+        if (this.options.metadata) search.with_field('metadata');
+        if (nextCursor) search.next_cursor(nextCursor);
+
+        console.log(`🔎 Searching "${this.options.expression}" (cursor: ${nextCursor || 'start'})...`);
+
+        const result = await withRetry(() => search.execute(), {
+          label: 'Searching resources'
+        });
+
+        if (!nextCursor && result.total_count !== undefined) {
+          console.log(`Search matched ${result.total_count} resources`);
+          this.expectedTotal = this.options.limit ? Math.min(this.options.limit, result.total_count) : result.total_count;
+        }
+        console.log(`Found ${result.resources.length} resources in this batch`);
+        const resources = this.withinLimit(result.resources);
+        this.totalCount += resources.length;
+
+        if (!(await this.processBatch(resources))) break;
+
+        if (result.next_cursor && !this.limitReached()) {
+          nextCursor = result.next_cursor;
+        } else {
+          hasMore = false;
+        }
+
+        this.saveCheckpoint({ cursor: nextCursor }, !hasMore);
+
+        console.log(`Progress: ${this.migratedCount} migrated, ${this.skippedCount} skipped, ${this.failedCount} failed, ${this.totalCount} total processed`);
+        console.log('---');
+
+      } catch (error) {
+        if (error.interrupted) break;
+        console.error(`❌ Error searching Cloudinary after ${error.attempts} attempt(s) (${error.category}):`, errorMessage(error));
+        console.error('Progress is checkpointed. Re-run with --resume to continue from this batch.');
+        this.noteError(null, `Listing failed: ${errorMessage(error)}`, error.category);
         break;
-      case '--help':
-        printHelp();
-        process.exit(0);
+      }
+    }
+  }
+
+  hasSelectionSources() {
+    return this.options.tagSources.length > 0 ||
+      this.options.contextSources.length > 0 ||
+      this.options.moderationSources.length > 0 ||
+      this.options.assetFolders.length > 0;
+  }
+
+  // One entry per tag, context, moderation queue and asset folder, plus the
+  // prefix listing when one is given. list(options) fetches one page.
+  buildSources() {
+    const api = cloudinary.api;
+    const sources = [];
+
+    this.options.tagSources.forEach(tag => sources.push({
+      label: `tag "${tag}"`,
+      list: options => api.resources_by_tag(tag, options)
+    }));
+    this.options.contextSources.forEach(entry => {
+      const separator = entry.indexOf('=');
+      const key = separator === -1 ? entry : entry.slice(0, separator);
+      const value = separator === -1 ? undefined : entry.slice(separator + 1);
+      sources.push({
+        label: `context ${entry}`,
+        list: options => api.resources_by_context(key, value, options)
+      });
+    });
+    this.options.moderationSources.forEach(entry => {
+      // "pending" alone means the manual moderation queue
+      const [kind, status] = entry.includes(':') ? entry.split(':') : ['manual', entry];
+      sources.push({
+        label: `moderation ${kind}:${status}`,
+        list: options => api.resources_by_moderation(kind, status, options)
+      });
+    });
+    this.options.assetFolders.forEach(folder => sources.push({
+      label: `asset folder "${folder}"`,
+      list: options => api.resources_by_asset_folder(folder, options)
+    }));
+    if (this.options.prefix) {
+      sources.push({
+        label: `prefix "${this.options.prefix}"`,
+        list: options => api.resources({
+          ...options,
+          type: this.options.deliveryType || 'upload',
+          prefix: this.options.prefix,
+          ...(this.options.startAt ? { start_at: this.options.startAt } : {})
+        })
+      });
+    }
+
+    return sources;
+  }
+
+  // Runs every selection source in turn with full cursor pagination. An asset
+  // matched by several sources is only migrated the first time it is listed.
+  async migrateFromSources() {
+    const sources = this.buildSources();
+    const resourceType = this.options.resourceType || 'image';
+    const deliveryType = this.options.deliveryType || 'upload';
+
+    this.checkpoint = new MigrationCheckpoint({
+      command: 'selective',
+      mode: 'sources',
+      resource_type: resourceType,
+      type: deliveryType,
+      sources: sources.map(source => source.label),
+      limit: this.options.limit
+    });
+    const saved = this.startFromCheckpoint();
+    const seen = new Set();
+    let nextCursor = saved ? saved.cursor : null;
+    let duplicates = 0;
+
+    for (let index = saved ? saved.source || 0 : 0; index < sources.length; index++) {
+      const source = sources[index];
+      let hasMore = !this.limitReached();
+
+      while (hasMore) {
+        if (this.stopSignal) return;
+        try {
+          const options = {
+            resource_type: resourceType,
+            max_results: this.options.maxResults || 100
+          };
+          if (this.options.tags) options.tags = true;
+          if (this.options.context) options.context = true;
+          if (this.options.metadata) options.metadata = true;
+          if (nextCursor) options.next_cursor = nextCursor;
+
+          console.log(`📥 Fetching ${source.label} (cursor: ${nextCursor || 'start'})...`);
+
+          const result = await withRetry(() => source.list(options), {
+            label: `Fetching ${source.label}`
+          });
+
+          // Tag, context and moderation listings span delivery types, keep the requested one
+          const unique = result.resources.filter(resource => {
+            if (resource.type !== deliveryType) return false;
+            const key = MigrationLedger.assetKey(resource);
+            if (seen.has(key)) {
+              duplicates++;
+              return false;
+            }
+            seen.add(key);
+            return true;
+          });
+
+          console.log(`Found ${result.resources.length} resources in this batch (${unique.length} new)`);
+          const resources = this.withinLimit(unique);
+          this.totalCount += resources.length;
+
+          if (!(await this.processBatch(resources))) return;
+
+          if (result.next_cursor && !this.limitReached()) {
+            nextCursor = result.next_cursor;
+          } else {
+            hasMore = false;
+            nextCursor = null;
+          }
+
+          const done = !hasMore && (index + 1 >= sources.length || this.limitReached());
+          this.saveCheckpoint(hasMore ? { source: index, cursor: nextCursor } : { source: index + 1, cursor: null }, done);
+
+          console.log(`Progress: ${this.migratedCount} migrated, ${this.skippedCount} skipped, ${this.failedCount} failed, ${this.totalCount} total processed`);
+          console.log('---');
+
+        } catch (error) {
+          if (error.interrupted) return;
+          console.error(`❌ Error fetching ${source.label} after ${error.attempts} attempt(s) (${error.category}):`, errorMessage(error));
+          console.error('Progress is checkpointed. Re-run with --resume to continue from this batch.');
+          this.noteError(null, `Listing failed: ${errorMessage(error)}`, error.category);
+          return;
+        }
+      }
+    }
+
+    if (duplicates > 0) {
+      console.log(`ℹ️  ${duplicates} asset(s) matched more than one source and were migrated once`);
     }
   }
 
+  // Trims a batch so no more than --limit assets are processed in total
+  withinLimit(resources) {
+    if (!this.options.limit) return resources;
+    return resources.slice(0, Math.max(0, this.options.limit - this.totalCount));
+  }
+
+  limitReached() {
+    return Boolean(this.options.limit) && this.totalCount >= this.options.limit;
+  }
+}
+
+// "created_at:desc,bytes" -> [{ field, direction }]; Cloudinary sorts descending by default
+function parseSortBy(value) {
+  if (!value) return [];
+
+  return value.split(',').map(entry => {
+    const [field, direction = 'desc'] = entry.trim().split(':');
+    if (!field || !['asc', 'desc'].includes(direction)) {
+      throw new UsageError(`Invalid --sort-by value: ${entry} (expected field[:asc|desc])`);
+    }
+    return { field, direction };
+  });
+}
+
+const CLI_OPTIONS = [
+  ...CloudinaryToS3Migrator.MIGRATION_OPTIONS,
+  { flag: '--prefix', key: 'prefix' },
+  { flag: '--public-ids', key: 'publicIds', type: 'list' },
+  { flag: '--start-at', key: 'startAt' },
+  { flag: '--tag', key: 'tagSources', type: 'list', repeat: true },
+  { flag: '--context-filter', key: 'contextSources', repeat: true },
+  { flag: '--moderation', key: 'moderationSources', type: 'list', repeat: true },
+  { flag: '--asset-folder', key: 'assetFolders', repeat: true },
+  { flag: '--expression', key: 'expression' },
+  { flag: '--sort-by', key: 'sortBy' },
+  { flag: '--limit', key: 'limit', type: 'int' },
+  { flag: '--max-results', key: 'maxResults', type: 'int' },
+  { flag: '--tags', set: { tags: true } },
+  { flag: '--context', set: { context: true } },
+  { flag: '--metadata', set: { metadata: true } }
+];
+
+// CLI interface
+async function runCLI(args = process.argv.slice(2)) {
+  const options = parseArgs(args, CLI_OPTIONS);
+  if (options.help) {
+    printHelp();
+    return;
+  }
+
+  if (options.sortBy && !options.expression) {
+    throw new UsageError('--sort-by requires --expression');
+  }
+  // Fails on a malformed --sort-by before anything is listed
+  parseSortBy(options.sortBy);
+  if (options.limit !== undefined && !(options.limit > 0)) {
+    throw new UsageError('--limit must be a positive number');
+  }
+
+  requireEnv([
+    'CLOUDINARY_CLOUD_NAME',
+    'CLOUDINARY_API_KEY',
+    'CLOUDINARY_API_SECRET',
+    ...destinationEnvVars(options.destinationType)
+  ]);
+
   const migrator = new SelectiveMigrator(options);
-  await migrator.migrate();
+  if (options.applyPlan) {
+    await migrator.applyPlan(options.applyPlan);
+  } else {
+    await migrator.migrate();
+  }
 }
 
 function printHelp() {
@@ -180,6 +476,16 @@ Options:
   --prefix <prefix>           Migrate assets with public IDs starting with prefix
   --public-ids <ids>          Comma-separated list of specific public IDs to migrate
   --start-at <date>           Migrate assets created since date (ISO 8601 format)
+  --tag <tags>                Migrate assets with these tags (comma-separated, repeatable)
+  --context-filter <key[=value]>
+                              Migrate assets with this context key, or key and value (repeatable)
+  --moderation <[kind:]status>
+                              Migrate assets in a moderation queue, e.g. pending or aws_rek:rejected
+  --asset-folder <folder>     Migrate the assets in a dynamic-folder-mode asset folder (repeatable)
+  --expression <expression>   Migrate the results of a Cloudinary Search API expression
+                              (all resource and delivery types it matches)
+  --sort-by <field[:dir]>     Sort search results, e.g. created_at:asc or bytes:desc (with --expression)
+  --limit <number>            Stop after this many assets
   --resource-type <type>      Asset type: image, video, raw (default: image)
   --delivery-type <type>      Delivery type: upload, private, authenticated, etc. (default: upload)
   --max-results <number>      Max results per batch (default: 100, max: 500)
@@ -189,6 +495,24 @@ Options:
   --skip-existing             Skip files that already exist in S3 (default)
   --no-skip-existing          Process all files, even if they exist in S3
   --force-overwrite           Force overwrite existing files in S3
+  --delete                    Delete each asset from Cloudinary right after it is uploaded (prefer purge.js)
+  --no-delete                 Do not delete assets from Cloudinary (default)
+  --resume                    Continue the last unfinished run with the same filters
+  --destination <type>        s3, s3-compatible (S3_ENDPOINT) or local (default: DESTINATION or s3)
+  --destination-dir <dir>     Directory of the local destination (default: DESTINATION_DIR or export/)
+  --policy <file>             S3 object policy rules (default: S3_POLICY_FILE)
+  --sidecar                   Write <key>.cloudinary.json with the full Cloudinary record next to each asset
+  --spool                     Download each asset to downloads/ before uploading (default: stream)
+  --derived                   Also copy each asset's derived resources
+  --named-transformations <names|all>
+                              Also copy renditions of these named transformations
+  --manifest-format <format>  Mapping manifest format: csv, jsonl, both or none (default: both)
+  --dry-run                   List and classify assets (copy/skip/overwrite/delete) without changing anything
+  --plan <file>               Dry run that also writes the plan to <file> for review
+  --apply <file>              Execute a plan written by --plan, exactly as reviewed
+  --status-port <port>        Serve live progress on http://127.0.0.1:<port>/status and /metrics (default: STATUS_PORT)
+  --max-download-rate <rate>  Cap downloads from Cloudinary, e.g. 20mb per second (default: MAX_DOWNLOAD_RATE)
+  --max-upload-rate <rate>    Cap uploads to the destination, e.g. 20mb per second (default: MAX_UPLOAD_RATE)
   --help                      Show this help message
 
 Examples:
@@ -201,16 +525,33 @@ Examples:
   # Migrate all assets created since 2024-01-01
   node selective-migrate.js --start-at "2024-01-01"
 
+  # Migrate large product videos, biggest first
+  node selective-migrate.js --expression "resource_type:video AND folder:products/* AND bytes>5mb" --sort-by bytes:desc
+
+  # Migrate everything tagged hero or banner, plus the products/ prefix, once each
+  node selective-migrate.js --tag hero,banner --prefix "products/"
+
+  # Migrate one campaign's assets and everything still awaiting moderation
+  node selective-migrate.js --context-filter campaign=spring --moderation pending
+
+  # Migrate the first 50 assets of one campaign
+  node selective-migrate.js --expression "tags=spring-campaign" --sort-by created_at:asc --limit 50
+
   # Migrate videos with tags and context
   node selective-migrate.js --resource-type video --tags --context
+
+  # Continue an interrupted prefix migration
+  node selective-migrate.js --prefix "products/" --resume
+
+  # Plan a prefix migration, review it, then apply it
+  node selective-migrate.js --prefix "products/" --plan products-plan.json
+  node selective-migrate.js --apply products-plan.json
   `);
 }
 
 if (require.main === module) {
-  runCLI().catch(error => {
-    console.error('❌ Migration failed:', error);
-    process.exit(1);
-  });
+  runCommand(() => runCLI(), 'Migration failed');
 }
 
 module.exports = SelectiveMigrator;
+module.exports.main = runCLI;
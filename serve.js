@@ -0,0 +1,368 @@
+require('dotenv').config();
+const http = require('http');
+const { pipeline } = require('stream/promises');
+const S3KeyMapper = require('./lib/key-mapping');
+const { parseDeliveryPath } = require('./lib/cloudinary-url');
+const { classifyError, errorMessage } = require('./lib/retry');
+const { createDestination, requiredEnvVars: destinationEnvVars, DESTINATION_TYPES } = require('./lib/destination');
+const { parseArgs, requireEnv, runCommand } = require('./lib/cli');
+const {
+  parseTransformation,
+  outputSettings,
+  resolveFormat,
+  transformImage,
+  TransformationError,
+  CONTENT_TYPES
+} = require('./lib/image-transform');
+
+const SERVER_PORT = parseInt(process.env.SERVER_PORT) || 3000;
+const SERVER_CACHE_MAX_AGE = parseInt(process.env.SERVER_CACHE_MAX_AGE) || 365 * 24 * 60 * 60;
+// Original formats tried when the requested extension is a conversion (x.webp of x.jpg)
+const ORIGINAL_FORMATS = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'avif', 'tiff', 'heic', 'bmp', 'svg'];
+const RESOURCE_TYPES = ['image', 'video', 'raw'];
+// Resolved original keys kept in memory, so repeat requests skip the HEAD lookups
+const ORIGINAL_CACHE_SIZE = 10000;
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.status = 404;
+  }
+}
+
+// Serves Cloudinary-style delivery URLs from the migrated S3 objects, so
+// clients only need a new hostname. Transformed images are rendered with
+// sharp and cached back to S3 under the same keys --derived renditions use.
+class CloudinaryImageServer {
+  constructor(options = {}) {
+    this.port = options.port !== undefined ? options.port : SERVER_PORT;
+    this.host = options.host || '0.0.0.0';
+    this.cache = options.cache !== false; // Default to true
+    this.keyMapper = options.keyMapper || new S3KeyMapper();
+    // AWS S3, any S3-compatible endpoint or a local export directory
+    this.destination = options.destination || createDestination({ type: options.destinationType, dir: options.destinationDir });
+    this.originals = new Map();
+    this.rendering = new Map();
+    this.server = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error('❌ Unhandled request error:', error);
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        this.port = port;
+        console.log(`🖼️  Serving Cloudinary-style URLs from ${this.destination.describe()} on http://${this.host}:${port}`);
+        console.log(`S3 key layout: ${this.keyMapper.describe()}`);
+        console.log(`Cache renditions in S3: ${this.cache ? 'Yes' : 'No'}`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  async handle(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/health') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+      return;
+    }
+
+    const segments = url.pathname.split('/').filter(Boolean).map(segment => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        return segment;
+      }
+    });
+    // Paths may keep the cloud name (/<cloud>/image/upload/...), so only the host has to change
+    if (segments.length > 1 && !RESOURCE_TYPES.includes(segments[0]) && RESOURCE_TYPES.includes(segments[1])) {
+      segments.shift();
+    }
+
+    const started = Date.now();
+    try {
+      const parsed = parseDeliveryPath(segments);
+      if (parsed.error) {
+        throw new NotFoundError(`Not a Cloudinary delivery path (${parsed.error})`);
+      }
+
+      const result = await this.deliver(parsed, req.headers.accept);
+      const headers = {
+        'Content-Type': result.contentType,
+        'Cache-Control': `public, max-age=${SERVER_CACHE_MAX_AGE}`,
+        'X-Cache': result.cache
+      };
+      if (result.contentLength !== undefined) headers['Content-Length'] = result.contentLength;
+      if (result.vary) headers.Vary = 'Accept';
+
+      res.writeHead(200, headers);
+      if (req.method === 'HEAD') {
+        if (result.stream) result.stream.destroy();
+        res.end();
+      } else if (result.stream) {
+        let sent = 0;
+        result.stream.on('data', chunk => { sent += chunk.length; });
+        try {
+          await pipeline(result.stream, res);
+        } catch (error) {
+          if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+          // Clients may hang up as soon as they have Content-Length bytes, before
+          // the object stream reports its end: that is a normal completion
+          if (!(sent >= result.contentLength)) {
+            console.warn(`⚠️  ${req.method} ${url.pathname}: client closed the connection after ${sent} bytes`);
+            return;
+          }
+        }
+      } else {
+        res.end(result.body);
+      }
+      console.log(`✅ ${req.method} ${url.pathname} ${result.cache} ${Date.now() - started}ms`);
+    } catch (error) {
+      const status = error.status || (classifyError(error).category === 'not_found' ? 404 : 502);
+      if (status >= 500) {
+        console.error(`❌ ${req.method} ${url.pathname}: ${errorMessage(error)}`);
+      } else {
+        console.warn(`⚠️  ${req.method} ${url.pathname} ${status}: ${errorMessage(error)}`);
+      }
+      if (!res.headersSent) {
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(status >= 500 ? 'Upstream error' : errorMessage(error));
+      } else {
+        res.destroy();
+      }
+    }
+  }
+
+  // A folder can look like a transformation, so try each way of splitting the
+  // path until one resolves to an original in S3
+  async deliver(parsed, accept) {
+    for (const candidate of parsed.candidates) {
+      const resource = {
+        public_id: candidate.publicId,
+        resource_type: parsed.resourceType,
+        type: parsed.type,
+        version: parsed.version
+      };
+      const original = await this.resolveOriginal(resource, candidate.format);
+      if (!original) continue;
+
+      const untransformed = !candidate.transformation &&
+        (!candidate.format || candidate.format === original.format);
+      if (untransformed) {
+        return this.streamObject(original.key, 'original');
+      }
+
+      if (parsed.resourceType !== 'image') {
+        throw new TransformationError('Only image transformations are supported');
+      }
+      return this.renderRendition(resource, candidate, original, accept);
+    }
+
+    throw new NotFoundError('Asset not found in S3');
+  }
+
+  // Finds the S3 key of the original: the requested extension first, then the
+  // usual image formats. Returns { key, format } or null.
+  async resolveOriginal(resource, extension) {
+    const cacheKey = `${resource.resource_type}/${resource.type}/${resource.version || ''}/${resource.public_id}/${extension || ''}`;
+    if (this.originals.has(cacheKey)) return this.originals.get(cacheKey);
+
+    const formats = resource.resource_type === 'raw' || !extension
+      ? [extension || null]
+      : [extension, ...ORIGINAL_FORMATS.filter(format => format !== extension)];
+    const keys = [];
+    formats.forEach(format => {
+      try {
+        keys.push({ key: this.keyMapper.keyFor({ ...resource, format }), format });
+      } catch (error) {
+        // e.g. a versioned layout and a URL without a version
+      }
+    });
+
+    let original = null;
+    for (const candidate of keys) {
+      if (await this.exists(candidate.key)) {
+        original = candidate;
+        break;
+      }
+      // Without {format} in the layout every candidate is the same key
+      if (keys.every(other => other.key === candidate.key)) break;
+    }
+
+    // Misses are not cached: the asset may still be on its way to S3
+    if (!original) return null;
+    if (this.originals.size >= ORIGINAL_CACHE_SIZE) this.originals.clear();
+    this.originals.set(cacheKey, original);
+    return original;
+  }
+
+  async renderRendition(resource, candidate, original, accept) {
+    const steps = parseTransformation(candidate.transformation);
+    const settings = outputSettings(steps);
+    const format = resolveFormat(settings.format, candidate.format, accept, original.format);
+    // A plain format change (x.webp of x.jpg) is cached as an f_ rendition
+    const transformation = candidate.transformation || `f_${format}`;
+    const cacheKey = this.keyMapper.derivedKeyFor(resource, transformation, format);
+    const vary = settings.format === 'auto';
+
+    if (await this.exists(cacheKey)) {
+      return { ...await this.streamObject(cacheKey, 'hit'), vary };
+    }
+
+    // Concurrent requests for the same rendition share one render
+    if (!this.rendering.has(cacheKey)) {
+      const render = this.render(original.key, steps, format, cacheKey)
+        .finally(() => this.rendering.delete(cacheKey));
+      this.rendering.set(cacheKey, render);
+    }
+    const rendered = await this.rendering.get(cacheKey);
+
+    return {
+      body: rendered.body,
+      contentType: rendered.contentType,
+      contentLength: rendered.body.length,
+      cache: 'miss',
+      vary
+    };
+  }
+
+  async render(originalKey, steps, format, cacheKey) {
+    const source = await this.destination.getObject(originalKey);
+    const rendered = await transformImage(source.Body, steps, { format });
+
+    if (this.cache) {
+      // Don't hold the response for the cache write; a failed write only costs a re-render
+      this.destination.putObject({
+        Key: cacheKey,
+        Body: rendered.body,
+        ContentType: rendered.contentType,
+        Metadata: { 'rendered-from': originalKey }
+      }).catch(error => {
+        console.warn(`⚠️  Could not cache ${cacheKey}: ${errorMessage(error)}`);
+      });
+    }
+
+    return rendered;
+  }
+
+  async streamObject(key, cache) {
+    const head = await this.destination.headObject(key);
+    const extension = (key.match(/\.([a-z0-9]+)$/i) || [])[1];
+    return {
+      stream: this.destination.createReadStream(key),
+      contentType: head.ContentType || CONTENT_TYPES[(extension || '').toLowerCase()] || 'application/octet-stream',
+      contentLength: head.ContentLength,
+      cache
+    };
+  }
+
+  async exists(key) {
+    try {
+      await this.destination.headObject(key);
+      return true;
+    } catch (error) {
+      if (classifyError(error).category === 'not_found') return false;
+      throw error;
+    }
+  }
+}
+
+const CLI_OPTIONS = [
+  { flag: '--port', key: 'port', type: 'int' },
+  { flag: '--host', key: 'host' },
+  { flag: '--no-cache', set: { cache: false } },
+  { flag: '--destination', key: 'destinationType', choices: DESTINATION_TYPES },
+  { flag: '--destination-dir', key: 'destinationDir' }
+];
+
+// CLI interface
+async function runServer(args = process.argv.slice(2)) {
+  const { help, ...options } = parseArgs(args, CLI_OPTIONS);
+  if (help) {
+    printHelp();
+    return;
+  }
+
+  requireEnv(destinationEnvVars(options.destinationType));
+
+  const server = new CloudinaryImageServer(options);
+  await server.start();
+
+  const shutdown = () => {
+    console.log('\n🛑 Stopping image server');
+    server.stop().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+function printHelp() {
+  console.log(`
+Cloudinary-Compatible Image Server
+
+Serves Cloudinary-style paths such as
+  /image/upload/w_300,h_200,c_fill,q_auto,f_webp/v123/folder/id.jpg
+from the migrated S3 objects. Originals are found with the migration's key
+layout (S3_KEY_TEMPLATE); transformed images are rendered locally and cached
+back to S3 under the derived key layout (S3_DERIVED_KEY_TEMPLATE).
+
+Usage: node serve.js [options]
+
+Options:
+  --port <port>         Port to listen on (default: SERVER_PORT or 3000)
+  --host <host>         Interface to bind (default: 0.0.0.0)
+  --no-cache            Render on every request, don't write renditions to S3
+  --destination <type>  s3, s3-compatible or local (default: DESTINATION, s3-compatible with S3_ENDPOINT, else s3)
+  --destination-dir <dir>
+                        Directory of the local destination (default: DESTINATION_DIR or export/)
+  --help                Show this help message
+
+Supported transformations:
+  w_, h_ (pixels or relative like 0.5), c_ (scale, fit, limit, mfit, fill,
+  lfill, pad, lpad, crop, thumb), g_ (compass, center, auto, face), ar_,
+  dpr_, b_ (pad background), x_, y_, q_ (1-100, auto[:best|good|eco|low]),
+  f_ (jpg, png, webp, avif, gif, tiff, auto); chains with /
+
+Environment Variables:
+  S3_ENDPOINT           S3-compatible endpoint, e.g. http://localhost:9000 for MinIO
+  S3_FORCE_PATH_STYLE   Set to false for virtual-hosted addressing at S3_ENDPOINT
+  SERVER_CACHE_MAX_AGE  Cache-Control max-age in seconds (default: one year)
+  SERVER_MAX_DIMENSION  Largest width/height a URL may request (default: 5000)
+
+Examples:
+  # Serve from AWS S3
+  node serve.js --port 8080
+
+  # Serve from a local MinIO
+  S3_ENDPOINT=http://localhost:9000 AWS_S3_BUCKET_NAME=assets node serve.js
+
+  # Serve a local export written with --destination local
+  node serve.js --destination local --destination-dir /tmp/cloudinary-export
+  `);
+}
+
+if (require.main === module) {
+  runCommand(() => runServer(), 'Image server failed');
+}
+
+module.exports = CloudinaryImageServer;
+module.exports.main = runServer;
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findCloudinaryUrls, parseCloudinaryUrl, isCloudinaryHost } = require('../lib/cloudinary-url');
+
+const BASE = 'https://res.cloudinary.com/demo/image/upload';
+
+test('finds URLs in text and drops trailing punctuation', () => {
+  const found = findCloudinaryUrls(`See ${BASE}/v12/products/p1.jpg. And "${BASE}/p2.png"`);
+
+  assert.deepStrictEqual(found.map(entry => entry.url), [`${BASE}/v12/products/p1.jpg`, `${BASE}/p2.png`]);
+});
+
+test('ignores URLs on other hosts', () => {
+  assert.deepStrictEqual(findCloudinaryUrls('https://example.com/image/upload/p1.jpg'), []);
+});
+
+test('ends a URL at the next CSV field', () => {
+  const text = `p1,${BASE}/v12/products/p1.jpg,Red,${BASE}/c_fill,w_300/v12/products/p2.jpg\n`;
+  const found = findCloudinaryUrls(text);
+
+  assert.deepStrictEqual(found.map(entry => entry.url), [
+    `${BASE}/v12/products/p1.jpg`,
+    `${BASE}/c_fill,w_300/v12/products/p2.jpg`
+  ]);
+  assert.strictEqual(parseCloudinaryUrl(found[0].url).publicId, 'products/p1');
+  assert.strictEqual(text.slice(found[1].index, found[1].index + found[1].match.length), found[1].match);
+  assert.deepStrictEqual(findCloudinaryUrls(`${BASE}/p3.jpg,2024/01/02`).map(entry => entry.url), [`${BASE}/p3.jpg`]);
+});
+
+test('unescapes JSON-escaped slashes but keeps the exact match', () => {
+  const [entry] = findCloudinaryUrls('{"url":"https:\\/\\/res.cloudinary.com\\/demo\\/image\\/upload\\/p1.jpg"}');
+
+  assert.strictEqual(entry.escaped, true);
+  assert.strictEqual(entry.url, `${BASE}/p1.jpg`);
+  assert.strictEqual(entry.match, 'https:\\/\\/res.cloudinary.com\\/demo\\/image\\/upload\\/p1.jpg');
+});
+
+test('parses transformation, version, public ID and format', () => {
+  const parsed = parseCloudinaryUrl(`${BASE}/s--abcdefgh--/c_fill,w_300/e_sepia/v1712/folder/shoe.webp`);
+
+  assert.strictEqual(parsed.cloudName, 'demo');
+  assert.strictEqual(parsed.signed, true);
+  assert.strictEqual(parsed.transformation, 'c_fill,w_300/e_sepia');
+  assert.strictEqual(parsed.version, '1712');
+  assert.strictEqual(parsed.publicId, 'folder/shoe');
+  assert.strictEqual(parsed.format, 'webp');
+  assert.strictEqual(parsed.candidates.length, 1);
+});
+
+test('offers every split when there is no version', () => {
+  const parsed = parseCloudinaryUrl(`${BASE}/w_300/ab_cd/shoe.jpg`);
+
+  assert.deepStrictEqual(parsed.candidates.map(candidate => [candidate.transformation, candidate.publicId]), [
+    ['w_300/ab_cd', 'shoe'],
+    ['w_300', 'ab_cd/shoe'],
+    ['', 'w_300/ab_cd/shoe']
+  ]);
+});
+
+test('keeps the extension of raw files in the public ID', () => {
+  const parsed = parseCloudinaryUrl('https://res.cloudinary.com/demo/raw/upload/v1/docs/terms.pdf');
+
+  assert.strictEqual(parsed.publicId, 'docs/terms.pdf');
+  assert.strictEqual(parsed.format, null);
+});
+
+test('reports URLs it cannot map', () => {
+  assert.strictEqual(parseCloudinaryUrl('https://res.cloudinary.com/demo/images/p1.jpg').error, 'unsupported_url_format');
+  assert.strictEqual(parseCloudinaryUrl(`${BASE}/v12`).error, 'missing_public_id');
+  assert.strictEqual(parseCloudinaryUrl('not a url').error, 'invalid_url');
+});
+
+test('recognises Cloudinary hosts', () => {
+  assert.strictEqual(isCloudinaryHost('res.cloudinary.com'), true);
+  assert.strictEqual(isCloudinaryHost('res-3.cloudinary.com'), true);
+  assert.strictEqual(isCloudinaryHost('acme-res.cloudinary.com'), true);
+  assert.strictEqual(isCloudinaryHost('cloudinary.com'), false);
+});
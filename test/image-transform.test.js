@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTransformation, outputSettings, resolveFormat, TransformationError } = require('../lib/image-transform');
+
+test('parses one step per chained component', () => {
+  assert.deepStrictEqual(parseTransformation('c_fill,w_300,h_200,g_face/f_auto,q_auto:eco'), [
+    { c: 'fill', w: '300', h: '200', g: 'face' },
+    { f: 'auto', q: 'auto:eco' }
+  ]);
+});
+
+test('keeps relative values as strings', () => {
+  assert.deepStrictEqual(parseTransformation('w_0.5,ar_16:9,dpr_2.0,b_rgb:ff0000'), [
+    { w: '0.5', ar: '16:9', dpr: '2.0', b: 'rgb:ff0000' }
+  ]);
+});
+
+test('an empty transformation has no steps', () => {
+  assert.deepStrictEqual(parseTransformation(''), []);
+  assert.deepStrictEqual(parseTransformation(null), []);
+});
+
+test('rejects what the server cannot render', () => {
+  const cases = {
+    'e_sepia': /Unsupported transformation parameter: e_sepia/,
+    'w300': /Unsupported transformation parameter/,
+    'c_imagga_crop': /Unsupported crop mode: imagga_crop/,
+    'g_ocr_text': /Unsupported gravity: ocr_text/,
+    'f_pdf': /Unsupported format: pdf/,
+    'q_0': /Unsupported quality: 0/,
+    'q_101': /Unsupported quality: 101/
+  };
+
+  Object.entries(cases).forEach(([transformation, message]) => {
+    assert.throws(() => parseTransformation(transformation), error =>
+      error instanceof TransformationError && error.status === 400 && message.test(error.message));
+  });
+});
+
+test('the last format and quality in the chain win', () => {
+  const steps = parseTransformation('f_png,q_auto/w_100/f_webp,q_60');
+
+  assert.deepStrictEqual(outputSettings(steps), { format: 'webp', quality: 60 });
+  assert.deepStrictEqual(outputSettings(parseTransformation('q_auto:best')), { format: null, quality: 90 });
+});
+
+test('resolves f_auto from the Accept header, then the extension, then the original', () => {
+  assert.strictEqual(resolveFormat('auto', 'jpg', 'image/avif,image/webp,*/*', 'png'), 'avif');
+  assert.strictEqual(resolveFormat('auto', 'jpg', 'image/webp,*/*', 'png'), 'webp');
+  assert.strictEqual(resolveFormat('auto', 'jpg', '*/*', 'png'), 'jpg');
+  assert.strictEqual(resolveFormat(null, null, null, 'png'), 'png');
+  assert.strictEqual(resolveFormat(null, 'heic', null, 'heic'), 'jpg');
+  assert.strictEqual(resolveFormat('png', 'jpg', 'image/webp', 'jpg'), 'png');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const S3KeyMapper = require('../lib/key-mapping');
+
+const shoe = { public_id: 'products/shoe', format: 'jpg', resource_type: 'image', type: 'upload', version: 1712 };
+const terms = { public_id: 'docs/terms.pdf', resource_type: 'raw', type: 'upload', version: 3 };
+
+function mapper(options = {}) {
+  return new S3KeyMapper({ prefix: 'cloudinary', baseUrl: 'https://cdn.example.com', ...options });
+}
+
+test('maps with the named strategies', () => {
+  assert.strictEqual(mapper({ template: 'default' }).keyFor(shoe), 'cloudinary/products/shoe.jpg');
+  assert.strictEqual(mapper({ template: 'typed' }).keyFor(shoe), 'cloudinary/image/upload/products/shoe.jpg');
+  assert.strictEqual(mapper({ template: 'versioned' }).keyFor(shoe), 'cloudinary/image/upload/v1712/products/shoe.jpg');
+});
+
+test('drops empty optional segments and the extension of raw files', () => {
+  assert.strictEqual(mapper({ template: 'default', prefix: '' }).keyFor(shoe), 'products/shoe.jpg');
+  assert.strictEqual(mapper({ template: 'default', prefix: '/assets/' }).keyFor(shoe), 'assets/products/shoe.jpg');
+  assert.strictEqual(mapper({ template: 'default' }).keyFor(terms), 'cloudinary/docs/terms.pdf');
+  assert.strictEqual(mapper({ template: '{prefix}/{folder}/{public_id}.{format}' }).keyFor(shoe), 'cloudinary/products/shoe.jpg');
+});
+
+test('fails on a missing required value', () => {
+  assert.throws(() => mapper({ template: 'versioned' }).keyFor({ ...shoe, version: undefined }), /missing version/);
+});
+
+test('rejects templates with unknown or missing placeholders', () => {
+  assert.throws(() => mapper({ template: '{prefix}/{id}.{format}' }), /Unknown placeholder\(s\).*: id/);
+  assert.throws(() => mapper({ template: '{prefix}/{folder}' }), /must contain \{public_id\}/);
+  assert.throws(() => mapper({ derivedTemplate: '{prefix}/{public_id}.{format}' }), /must contain \{transformation\}/);
+});
+
+test('keys renditions by transformation and sidecars next to the object', () => {
+  const keys = mapper({ template: 'default' });
+
+  assert.strictEqual(keys.derivedKeyFor(shoe, 'c_fill,w_300', 'webp'), 'cloudinary/derived/c_fill,w_300/products/shoe.webp');
+  assert.strictEqual(keys.sidecarKeyFor(shoe), 'cloudinary/products/shoe.jpg.cloudinary.json');
+});
+
+test('builds URLs that keep commas and escape the rest', () => {
+  const keys = mapper();
+
+  assert.strictEqual(keys.urlFor('cloudinary/derived/c_fill,w_300/my shoe.webp'),
+    'https://cdn.example.com/cloudinary/derived/c_fill,w_300/my%20shoe.webp');
+  assert.strictEqual(mapper({ baseUrl: 'https://cdn.example.com/' }).urlFor('a.jpg'), 'https://cdn.example.com/a.jpg');
+});
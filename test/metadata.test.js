@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildObjectMetadata, sidecarDocument, contextValues, headerValue, S3_METADATA_LIMIT } = require('../lib/metadata');
+
+function metadataSize(metadata) {
+  return Object.entries(metadata).reduce((size, [key, value]) => size + Buffer.byteLength(key) + Buffer.byteLength(value), 0);
+}
+
+test('keeps core fields in order and skips empty ones', () => {
+  const { metadata, truncated } = buildObjectMetadata({}, {
+    'original-public-id': 'products/shoe',
+    'original-size': 1024,
+    width: null,
+    'content-md5': ''
+  });
+
+  assert.deepStrictEqual(metadata, { 'original-public-id': 'products/shoe', 'original-size': '1024' });
+  assert.deepStrictEqual(truncated, []);
+});
+
+test('maps structured metadata, context and tags to header-safe keys', () => {
+  const { metadata } = buildObjectMetadata({
+    metadata: { Product_SKU: 'A-1', colors: ['red', 'blue'] },
+    context: { custom: { 'Alt Text': 'Red shoe' } },
+    tags: ['sale', 'summer']
+  });
+
+  assert.deepStrictEqual(metadata, {
+    'metadata-product-sku': 'A-1',
+    'metadata-colors': 'red,blue',
+    'context-alt-text': 'Red shoe',
+    tags: 'sale,summer'
+  });
+});
+
+test('encodes non-ASCII values as RFC 2047 encoded words', () => {
+  assert.strictEqual(headerValue('plain text'), 'plain text');
+  assert.strictEqual(headerValue('line\nbreak'), 'line break');
+  assert.strictEqual(headerValue('Crème'), `=?UTF-8?B?${Buffer.from('Crème').toString('base64')}?=`);
+});
+
+test('reads context with or without the custom wrapper', () => {
+  assert.deepStrictEqual(contextValues({ custom: { alt: 'a' } }), { alt: 'a' });
+  assert.deepStrictEqual(contextValues({ alt: 'a' }), { alt: 'a' });
+  assert.deepStrictEqual(contextValues(undefined), {});
+});
+
+test('shortens and drops values to stay under 2 KB, core fields first', () => {
+  const { metadata, truncated } = buildObjectMetadata({
+    metadata: { description: 'd'.repeat(1500) },
+    context: { caption: 'c'.repeat(1500) },
+    tags: ['t'.repeat(500)]
+  }, { 'original-public-id': 'p'.repeat(200) });
+
+  assert.strictEqual(metadata['original-public-id'], 'p'.repeat(200));
+  assert.strictEqual(metadata['metadata-description'], 'd'.repeat(1500));
+  assert.ok(metadata['context-caption'].length < 1500);
+  assert.strictEqual(metadata.tags, undefined);
+  assert.deepStrictEqual(truncated, ['context-caption', 'tags']);
+  assert.strictEqual(metadata['metadata-truncated'], 'true');
+  assert.ok(metadataSize(metadata) <= S3_METADATA_LIMIT);
+});
+
+test('the sidecar keeps the full Cloudinary record', () => {
+  const resource = { public_id: 'p1', resource_type: 'image', type: 'upload', tags: ['a'] };
+  const document = sidecarDocument(resource, { s3_key: 'cloudinary/p1.jpg', truncated: ['tags'] });
+
+  assert.strictEqual(document.s3_key, 'cloudinary/p1.jpg');
+  assert.strictEqual(document.run_id, null);
+  assert.deepStrictEqual(document.metadata_truncated, ['tags']);
+  assert.strictEqual(document.cloudinary, resource);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ObjectPolicy = require('../lib/object-policy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const policy = new ObjectPolicy({
+  defaults: { storageClass: 'STANDARD', serverSideEncryption: 'AES256', cacheControl: 'public, max-age=86400' },
+  rules: [
+    { name: 'large videos', match: { resourceType: 'video', minBytes: '100mb' }, storageClass: 'STANDARD_IA' },
+    { name: 'archive', match: { folder: 'archive/*', olderThanDays: 365 }, storageClass: 'GLACIER_IR' },
+    { name: 'documents', match: { resourceType: 'raw', format: ['PDF'] }, contentDisposition: 'attachment; filename="{filename}"' },
+    { name: 'secrets', match: { folder: 'private' }, sseKmsKeyId: 'alias/assets' }
+  ]
+});
+
+test('applies defaults when no rule matches', () => {
+  const { settings, matched } = policy.resolve({ public_id: 'p1', resource_type: 'image', format: 'jpg', bytes: 10 });
+
+  assert.deepStrictEqual(matched, []);
+  assert.strictEqual(settings.storageClass, 'STANDARD');
+});
+
+test('matches on resource type and size', () => {
+  const small = policy.resolve({ public_id: 'v1', resource_type: 'video', bytes: 1024 });
+  const large = policy.resolve({ public_id: 'v2', resource_type: 'video', bytes: 200 * 1024 * 1024 });
+
+  assert.strictEqual(small.settings.storageClass, 'STANDARD');
+  assert.deepStrictEqual(large.matched, ['large videos']);
+  assert.strictEqual(large.settings.storageClass, 'STANDARD_IA');
+});
+
+test('matches folder wildcards and age', () => {
+  const old = new Date(Date.now() - 400 * DAY_MS).toISOString();
+  const recent = new Date(Date.now() - 10 * DAY_MS).toISOString();
+
+  assert.deepStrictEqual(policy.resolve({ public_id: 'archive/2019/p1', created_at: old }).matched, ['archive']);
+  assert.deepStrictEqual(policy.resolve({ public_id: 'archive/2019/p1', created_at: recent }).matched, []);
+  assert.deepStrictEqual(policy.resolve({ public_id: 'archive/p1', asset_folder: 'media', created_at: old }).matched, []);
+});
+
+test('a plain folder also matches its subfolders', () => {
+  assert.deepStrictEqual(policy.resolve({ public_id: 'private/hr/p1' }).matched, ['secrets']);
+  assert.deepStrictEqual(policy.resolve({ public_id: 'privateer/p1' }).matched, []);
+});
+
+test('adds the settings to upload parameters', () => {
+  const params = policy.apply({ Key: 'docs/terms.pdf' }, { public_id: 'docs/terms.pdf', resource_type: 'raw', bytes: 10 });
+
+  assert.strictEqual(params.StorageClass, 'STANDARD');
+  assert.strictEqual(params.ServerSideEncryption, 'AES256');
+  assert.strictEqual(params.CacheControl, 'public, max-age=86400');
+  assert.strictEqual(params.ContentDisposition, 'attachment; filename="terms.pdf"');
+});
+
+test('a KMS key overrides inherited AES256 but keeps DSSE-KMS', () => {
+  const kms = policy.apply({}, { public_id: 'private/p1', format: 'jpg' });
+  assert.strictEqual(kms.ServerSideEncryption, 'aws:kms');
+  assert.strictEqual(kms.SSEKMSKeyId, 'alias/assets');
+
+  const dsse = new ObjectPolicy({ defaults: { serverSideEncryption: 'aws:kms:dsse', sseKmsKeyId: 'alias/assets' } });
+  assert.strictEqual(dsse.apply({}, { public_id: 'p1' }).ServerSideEncryption, 'aws:kms:dsse');
+});
+
+test('rejects unknown settings, conditions and values', () => {
+  assert.throws(() => new ObjectPolicy({ defaults: { storage: 'STANDARD' } }), /Unknown setting/);
+  assert.throws(() => new ObjectPolicy({ rules: [{ match: { tag: 'x' } }] }), /Unknown condition/);
+  assert.throws(() => new ObjectPolicy({ defaults: { storageClass: 'COLD' } }), /Unknown storage class/);
+  assert.throws(() => new ObjectPolicy({ defaults: { serverSideEncryption: 'kms' } }), /Unknown encryption/);
+  assert.throws(() => policy.matches({ minBytes: 'lots' }, { public_id: 'p1' }), /Invalid size/);
+});
+
+test('maps tags and context to at most 10 object tags', () => {
+  const tags = Array.from({ length: 12 }, (_, index) => `t${index}`);
+  const { tags: objectTags, dropped } = ObjectPolicy.objectTags(
+    { tags, context: { custom: { alt: 'Red shoe (left)' } } },
+    [{ Key: 'cloudinary-access', Value: 'private' }]
+  );
+
+  assert.strictEqual(objectTags.length, 10);
+  assert.deepStrictEqual(objectTags[0], { Key: 'cloudinary-access', Value: 'private' });
+  assert.deepStrictEqual(objectTags[1], { Key: 'context:alt', Value: 'Red shoe _left_' });
+  assert.deepStrictEqual(dropped, ['tag:t8', 'tag:t9', 'tag:t10', 'tag:t11']);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { UsageError } = require('../lib/cli');
+const { AdaptiveLimiter, ApiQuota, Bandwidth, observe, parseRate } = require('../lib/rate-limiter');
+
+test('parses rates with units, with or without /s', () => {
+  assert.strictEqual(parseRate('500'), 500);
+  assert.strictEqual(parseRate('500kb'), 500 * 1024);
+  assert.strictEqual(parseRate('20MB/s'), 20 * 1024 * 1024);
+  assert.strictEqual(parseRate(' 1.5gb '), Math.round(1.5 * 1024 ** 3));
+});
+
+test('an empty rate means no limit', () => {
+  assert.strictEqual(parseRate(undefined), null);
+  assert.strictEqual(parseRate(''), null);
+});
+
+test('rejects malformed and zero rates as usage errors', () => {
+  assert.throws(() => parseRate('fast', '--max-download-rate'), error =>
+    error instanceof UsageError && /Invalid --max-download-rate: fast/.test(error.message));
+  assert.throws(() => parseRate('0mb', 'MAX_UPLOAD_RATE'), UsageError);
+  assert.throws(() => parseRate('10 mbit', 'MAX_UPLOAD_RATE'), UsageError);
+});
+
+test('runs no more tasks at once than the concurrency', async () => {
+  const limiter = new AdaptiveLimiter({ concurrency: 2, min: 1, max: 2, adaptive: false });
+  let active = 0;
+  let peak = 0;
+
+  await Promise.all(Array.from({ length: 6 }, () => limiter.run(async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setImmediate(resolve));
+    active--;
+  })));
+
+  assert.strictEqual(peak, 2);
+});
+
+test('halves the concurrency on a rate limit until closed', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const closed = new AdaptiveLimiter({ concurrency: 8, min: 1, max: 8, adaptive: true });
+  const open = new AdaptiveLimiter({ concurrency: 8, min: 1, max: 8, adaptive: true });
+  await closed.run(() => {});
+  await open.run(() => {});
+
+  closed.close();
+  observe({ ms: 10, category: 'rate_limit' });
+
+  assert.strictEqual(closed.concurrency, 8);
+  assert.strictEqual(open.concurrency, 4);
+  open.close();
+});
+
+test('backs off when the median latency climbs', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const limiter = new AdaptiveLimiter({ concurrency: 4, min: 1, max: 4, adaptive: true });
+
+  for (let i = 0; i < 10; i++) limiter.record({ ms: 100, category: null });
+  assert.strictEqual(limiter.baselineMs, 100);
+  for (let i = 0; i < 10; i++) limiter.record({ ms: 500, category: null });
+
+  assert.strictEqual(limiter.concurrency, 3);
+});
+
+test('pauses the Admin API near the reserve until the quota resets', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const quota = new ApiQuota({ reservePercent: 10 });
+  quota.update('admin', { rate_limit_allowed: 100, rate_limit_remaining: 11, rate_limit_reset_at: new Date(Date.now() + 20) });
+
+  await quota.acquire('admin');
+  assert.strictEqual(quota.snapshot().admin.remaining, 10);
+
+  const startedAt = Date.now();
+  await quota.acquire('admin');
+  assert.ok(Date.now() - startedAt >= 15);
+  assert.deepStrictEqual(quota.snapshot(), {});
+});
+
+test('bandwidth lets a one-second burst through, then makes chunks wait', () => {
+  const bandwidth = Bandwidth.forRate(1000);
+
+  assert.strictEqual(Bandwidth.forRate(null), null);
+  assert.strictEqual(bandwidth.reserve(1000), 0);
+  assert.ok(bandwidth.reserve(500) >= 490);
+});
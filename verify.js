@@ -1,29 +1,27 @@
 require('dotenv').config();
-const cloudinary = require('cloudinary').v2;
-const AWS = require('aws-sdk');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// Configure AWS S3
-const s3 = new AWS.S3({
-  region: process.env.AWS_REGION,
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-});
-
-const BUCKET_NAME = process.env.AWS_S3_BUCKET_NAME;
+const cloudinary = require('./lib/cloudinary-client');
+const MigrationLedger = require('./lib/ledger');
+const S3KeyMapper = require('./lib/key-mapping');
+const { withRetry, errorMessage } = require('./lib/retry');
+const { expectedMd5, hashStream } = require('./lib/integrity');
+const { createDestination, requiredEnvVars: destinationEnvVars, DESTINATION_TYPES } = require('./lib/destination');
+const { parseArgs, requireEnv, runCommand } = require('./lib/cli');
+const { AdaptiveLimiter } = require('./lib/rate-limiter');
 
 class MigrationVerifier {
-  constructor() {
+  constructor(options = {}) {
     this.verified = 0;
     this.missing = 0;
     this.missingAssets = [];
     this.sizeMismatches = [];
+    this.ledger = options.ledger || new MigrationLedger();
+    this.destination = options.destination || createDestination({ type: options.destinationType, dir: options.destinationDir });
+    this.keyMapper = options.keyMapper || new S3KeyMapper({ defaultBaseUrl: this.destination.baseUrl() });
+    this.keyMismatches = [];
+    this.checksumMismatches = [];
+    this.deep = options.deep === true; // Re-download from S3 and hash
+    // Checks in flight, adapting like the migration's (MIGRATION_CONCURRENCY)
+    this.limiter = options.limiter || new AdaptiveLimiter();
   }
 
   async verify(resourceType = 'image', deliveryType = 'upload', sampleSize = null) {
@@ -33,8 +31,13 @@ class MigrationVerifier {
     if (sampleSize) {
       console.log(`Sample size: ${sampleSize}`);
     }
+    console.log(`S3 key layout: ${this.keyMapper.describe()}`);
+    console.log(`Integrity check: ${this.deep ? 'deep (re-hash S3 objects)' : 'size + stored checksum'}`);
+    console.log(`Concurrency: ${this.limiter.describe()}`);
     console.log('---');
 
+    await this.ledger.load();
+
     let nextCursor = null;
     let hasMore = true;
     let processed = 0;
@@ -47,7 +50,7 @@ class MigrationVerifier {
           resource_type: resourceType,
           type: deliveryType,
           max_results: maxResults,
-          fields: 'public_id,format,bytes,folder'
+          fields: 'public_id,format,resource_type,type,version,bytes,etag,folder'
         };
 
         if (nextCursor) {
@@ -56,7 +59,9 @@ class MigrationVerifier {
 
         console.log(`📥 Fetching resources from Cloudinary...`);
         
-        const result = await cloudinary.api.resources(options);
+        const result = await withRetry(() => cloudinary.api.resources(options), {
+          label: 'Fetching resources'
+        });
         
         console.log(`Verifying ${result.resources.length} resources...`);
         
@@ -73,33 +78,37 @@ class MigrationVerifier {
         console.log(`Progress: ${this.verified} verified, ${this.missing} missing, ${processed} total checked`);
 
       } catch (error) {
-        console.error('❌ Error fetching resources from Cloudinary:', error);
+        console.error(`❌ Error fetching resources from Cloudinary after ${error.attempts} attempt(s) (${error.category}):`, errorMessage(error));
         break;
       }
     }
 
+    this.limiter.close();
     this.printVerificationReport();
   }
 
   async verifyBatch(resources) {
-    const promises = resources.map(resource => this.verifyAsset(resource));
+    const promises = resources.map(resource => this.limiter.run(() => this.verifyAsset(resource)));
     await Promise.all(promises);
   }
 
   async verifyAsset(resource) {
-    const { public_id, format, bytes, folder } = resource;
+    const { public_id, format, bytes } = resource;
+    const row = this.ledger.get(resource);
+    // Same key mapping as the migration script
+    const s3Key = this.keyMapper.keyFor(resource);
+
+    if (row && row.s3_key && row.s3_key !== s3Key) {
+      // The asset was migrated with a different key layout than the current one
+      this.keyMismatches.push({ public_id, expected_s3_key: s3Key, ledger_s3_key: row.s3_key });
+      console.log(`⚠️  Key layout mismatch: ${public_id} (expected ${s3Key}, ledger has ${row.s3_key})`);
+    }
     
     try {
-      // Construct S3 key (same logic as migration script)
-      const s3Key = folder ? `${folder}/${public_id}.${format}` : `${public_id}.${format}`;
-      
       // Check if object exists in S3
-      const headParams = {
-        Bucket: BUCKET_NAME,
-        Key: s3Key
-      };
-
-      const s3Object = await s3.headObject(headParams).promise();
+      const s3Object = await withRetry(() => this.destination.headObject(s3Key), {
+        label: `Checking ${s3Key}`
+      });
       
       // Verify size if available
       if (bytes && s3Object.ContentLength !== bytes) {
@@ -110,6 +119,28 @@ class MigrationVerifier {
           s3_key: s3Key
         });
         console.log(`⚠️  Size mismatch: ${public_id} (Cloudinary: ${bytes}, S3: ${s3Object.ContentLength})`);
+        this.ledger.recordError(resource, 'size_mismatch', { s3_key: s3Key, s3_bytes: s3Object.ContentLength });
+      } else {
+        const integrity = await this.checkIntegrity(resource, s3Key, s3Object, row);
+
+        if (!integrity.ok) {
+          this.checksumMismatches.push({
+            public_id,
+            s3_key: s3Key,
+            method: integrity.method,
+            expected_md5: integrity.expected,
+            actual_md5: integrity.actual
+          });
+          console.log(`⚠️  Checksum mismatch: ${public_id} (${integrity.method}: expected ${integrity.expected}, S3 has ${integrity.actual})`);
+          this.ledger.recordError(resource, 'checksum_mismatch', { s3_key: s3Key });
+        } else if (!row || row.state !== 'verified' || row.s3_key !== s3Key || row.verified_by !== integrity.method) {
+          this.ledger.record(resource, 'verified', {
+            s3_key: s3Key,
+            s3_bytes: s3Object.ContentLength,
+            s3_etag: s3Object.ETag ? s3Object.ETag.replace(/"/g, '') : null,
+            verified_by: integrity.method
+          });
+        }
       }
 
       this.verified++;
@@ -120,15 +151,53 @@ class MigrationVerifier {
         this.missingAssets.push({
           public_id,
           format,
-          expected_s3_key: folder ? `${folder}/${public_id}.${format}` : `${public_id}.${format}`
+          expected_s3_key: s3Key,
+          ledger_state: row ? row.state : null,
+          ledger_s3_key: row ? row.s3_key || null : null
         });
-        console.log(`❌ Missing: ${public_id}.${format}`);
+        console.log(`❌ Missing: ${public_id}.${format}${row && row.state ? ` (ledger says: ${row.state})` : ''}`);
+        this.ledger.recordError(resource, 'missing_in_s3');
       } else {
-        console.error(`❌ Error checking ${public_id}:`, error.message);
+        console.error(`❌ Error checking ${public_id} after ${error.attempts} attempt(s) (${error.category}):`, errorMessage(error));
       }
     }
   }
 
+  // Confirms the S3 object matches the checksum Cloudinary reports (its etag is
+  // the MD5 of the original). Returns { ok, method, expected, actual } where
+  // method says how strong the proof is: deep, etag, metadata or size.
+  // 'metadata' is only the migration's own attestation from upload time, so
+  // purge.js --require-checksum does not accept it.
+  async checkIntegrity(resource, s3Key, s3Object, row) {
+    const expected = expectedMd5(resource) || (row && row.md5) || null;
+
+    if (this.deep) {
+      const actual = await hashStream(this.destination.createReadStream(s3Key));
+      // Recorded by the migration in the ledger and, for objects it wrote since, in the object's metadata
+      const sha256 = (row && row.sha256) || (s3Object.Metadata && s3Object.Metadata['content-sha256']) || null;
+      const sha256Ok = !sha256 || sha256 === actual.sha256;
+      return { ok: (!expected || actual.md5 === expected) && sha256Ok, method: 'deep', expected, actual: actual.md5 };
+    }
+
+    if (!expected) {
+      return { ok: true, method: 'size', expected, actual: null };
+    }
+
+    // A single-part upload's ETag is the MD5 of its content (not so for multipart, SSE-KMS or DSSE-KMS)
+    const etag = (s3Object.ETag || '').replace(/"/g, '');
+    if (etag && !etag.includes('-') && !(s3Object.ServerSideEncryption || '').startsWith('aws:kms')) {
+      return { ok: etag === expected, method: 'etag', expected, actual: etag };
+    }
+
+    // Otherwise rely on the MD5 the migration verified while streaming
+    const storedMd5 = s3Object.Metadata && s3Object.Metadata['content-md5'];
+    if (storedMd5) {
+      return { ok: storedMd5 === expected, method: 'metadata', expected, actual: storedMd5 };
+    }
+
+    return { ok: true, method: 'size', expected, actual: null };
+  }
+
   printVerificationReport() {
     console.log('\n📊 Migration Verification Report');
     console.log('=================================');
@@ -146,10 +215,18 @@ class MigrationVerifier {
       console.log(`  Size Mismatches: ${this.sizeMismatches.length}`);
     }
 
+    if (this.keyMismatches.length > 0) {
+      console.log(`  Key Layout Mismatches: ${this.keyMismatches.length}`);
+    }
+
+    if (this.checksumMismatches.length > 0) {
+      console.log(`  Checksum Mismatches: ${this.checksumMismatches.length}`);
+    }
+
     if (this.missing > 0) {
       console.log('\n❌ Missing Assets:');
       this.missingAssets.slice(0, 10).forEach(asset => {
-        console.log(`  - ${asset.public_id}.${asset.format}`);
+        console.log(`  - ${asset.public_id}.${asset.format} (expected at ${asset.expected_s3_key})`);
       });
       
       if (this.missingAssets.length > 10) {
@@ -168,18 +245,36 @@ class MigrationVerifier {
       }
     }
 
+    if (this.checksumMismatches.length > 0) {
+      console.log('\n⚠️ Checksum Mismatches:');
+      this.checksumMismatches.slice(0, 5).forEach(asset => {
+        console.log(`  - ${asset.public_id}: expected ${asset.expected_md5}, S3 has ${asset.actual_md5} (${asset.method})`);
+      });
+
+      if (this.checksumMismatches.length > 5) {
+        console.log(`  ... and ${this.checksumMismatches.length - 5} more`);
+      }
+    }
+
     // Save detailed report
-    if (this.missing > 0 || this.sizeMismatches.length > 0) {
+    const hasIssues = this.missing > 0 || this.sizeMismatches.length > 0 ||
+      this.keyMismatches.length > 0 || this.checksumMismatches.length > 0;
+    if (hasIssues) {
       const reportData = {
         summary: {
           total_checked: total,
           verified: this.verified,
           missing: this.missing,
           success_rate: successRate,
-          size_mismatches: this.sizeMismatches.length
+          size_mismatches: this.sizeMismatches.length,
+          key_mismatches: this.keyMismatches.length,
+          checksum_mismatches: this.checksumMismatches.length
         },
+        key_layout: this.keyMapper.describe(),
         missing_assets: this.missingAssets,
         size_mismatches: this.sizeMismatches,
+        key_mismatches: this.keyMismatches,
+        checksum_mismatches: this.checksumMismatches,
         generated_at: new Date().toISOString()
       };
 
@@ -188,7 +283,9 @@ class MigrationVerifier {
       console.log(`\n💾 Detailed report saved to: ${reportFile}`);
     }
 
-    if (successRate == 100) {
+    console.log(`\n📒 Ledger updated: ${this.ledger.filePath}`);
+
+    if (successRate == 100 && !hasIssues) {
       console.log('\n✅ Migration verification completed successfully!');
     } else {
       console.log('\n⚠️ Migration verification found issues. Check the report above.');
@@ -196,54 +293,31 @@ class MigrationVerifier {
   }
 }
 
+const CLI_OPTIONS = [
+  { flag: '--resource-type', key: 'resourceType' },
+  { flag: '--delivery-type', key: 'deliveryType' },
+  { flag: '--sample-size', key: 'sampleSize', type: 'int' },
+  { flag: '--deep', set: { deep: true } },
+  { flag: '--destination', key: 'destinationType', choices: DESTINATION_TYPES },
+  { flag: '--destination-dir', key: 'destinationDir' }
+];
+
 // CLI interface
-async function runVerification() {
-  const args = process.argv.slice(2);
-  let resourceType = 'image';
-  let deliveryType = 'upload';
-  let sampleSize = null;
-
-  // Parse command line arguments
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    switch (arg) {
-      case '--resource-type':
-        resourceType = args[++i];
-        break;
-      case '--delivery-type':
-        deliveryType = args[++i];
-        break;
-      case '--sample-size':
-        sampleSize = parseInt(args[++i]);
-        break;
-      case '--help':
-        printHelp();
-        process.exit(0);
-    }
+async function runVerification(args = process.argv.slice(2)) {
+  const { help, resourceType = 'image', deliveryType = 'upload', sampleSize = null, ...options } = parseArgs(args, CLI_OPTIONS);
+  if (help) {
+    printHelp();
+    return;
   }
 
-  // Validate environment variables
-  const requiredEnvVars = [
+  requireEnv([
     'CLOUDINARY_CLOUD_NAME',
     'CLOUDINARY_API_KEY',
     'CLOUDINARY_API_SECRET',
-    'AWS_REGION',
-    'AWS_ACCESS_KEY_ID',
-    'AWS_SECRET_ACCESS_KEY',
-    'AWS_S3_BUCKET_NAME'
-  ];
-
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-  
-  if (missingVars.length > 0) {
-    console.error('❌ Missing required environment variables:');
-    missingVars.forEach(varName => console.error(`  - ${varName}`));
-    console.error('\nPlease update your .env file and try again.');
-    process.exit(1);
-  }
+    ...destinationEnvVars(options.destinationType)
+  ]);
 
-  const verifier = new MigrationVerifier();
+  const verifier = new MigrationVerifier(options);
   await verifier.verify(resourceType, deliveryType, sampleSize);
 }
 
@@ -257,6 +331,9 @@ Options:
   --resource-type <type>    Asset type to verify: image, video, raw (default: image)
   --delivery-type <type>    Delivery type to verify: upload, private, authenticated, etc. (default: upload)
   --sample-size <number>    Number of assets to verify (verifies all if not specified)
+  --deep                    Download each object from S3 and re-hash it (slow, strongest check)
+  --destination <type>      Where the migration wrote to: s3, s3-compatible or local (default: DESTINATION or s3)
+  --destination-dir <dir>   Directory of the local destination (default: DESTINATION_DIR or export/)
   --help                    Show this help message
 
 Examples:
@@ -268,14 +345,15 @@ Examples:
 
   # Verify private images
   node verify.js --delivery-type private
+
+  # Re-hash a sample of objects stored in S3
+  node verify.js --sample-size 100 --deep
   `);
 }
 
 if (require.main === module) {
-  runVerification().catch(error => {
-    console.error('❌ Verification failed:', error);
-    process.exit(1);
-  });
+  runCommand(() => runVerification(), 'Verification failed');
 }
 
 module.exports = MigrationVerifier;
+module.exports.main = runVerification;